@@ -2,12 +2,13 @@
 
 export const CONFIG = {
     renderer: {
-        width: 640,
+        width: 640, // Logical world size; the world is scaled to fit the window
         height: 360,
         backgroundColor: 0x87CEEB, // Sky blue
+        letterboxColor: 0x000000, // Bars around the world when the window's aspect differs
+        integerScaling: true, // Scale by whole numbers so pixels stay square
         resolution: window.devicePixelRatio || 1,
         antialias: false, // Disabled for pixel art
-        autoResize: true,
         pixelArt: true // Enable pixel art mode
     },
     
@@ -27,56 +28,392 @@ export const CONFIG = {
             accentColor: 0x6B8E23, // Olive green
             pixelSize: 4,
             treeCount: 30,
-            rockCount: 20
+            rockCount: 20,
+            // Without map.png the terrain is generated; the same seed always gives the same map
+            seed: 1877,
+            generator: {
+                coastPosition: 0.3, // Coast as a fraction of the width when there is no coastline to follow
+                coastRamp: 40, // Pixels inland for one unit of height
+                coastNoise: 12, // How far the coast wanders from its base line, in pixels
+                noiseScale: 48, // Size of bays, hills and islets in pixels
+                octaves: 4,
+                relief: 1.2, // Strength of the noise, in units of height
+                beachHeight: 0.15, // Land below this is beach
+                hillHeight: 4, // Land above this is hills (accentColor)
+                depthBands: [0.5, 1.5], // Depths (in units of height) where shallow and medium water end
+                settlementCount: 6,
+                settlementSpacing: 50, // Least distance between settlements in pixels
+                roadWander: 0.15, // Sideways bend of a road as a fraction of its length
+                colors: {
+                    water: [0x3A8ED4, 0x2A6DB5, 0x1E4D8C], // Shallow, medium, deep
+                    beach: 0xD8C690,
+                    land: [0x3F5B42, 0x527B58, 0x6B9A73], // Dark, base, light
+                    road: 0xF7D358,
+                    settlement: 0xFFFFFF,
+                    tree: 0x2E4A32,
+                    treeLight: 0x4F7A52,
+                    trunk: 0x5C4033,
+                    rockLight: 0xA9A9A9
+                }
+            }
         },
+        // Geographic bounding box of the map image (decimal degrees)
+        geoBounds: {
+            north: 44.38,
+            south: 44.04,
+            west: 28.45,
+            east: 28.95
+        },
+        // Slippy-map tiles (z/x/y PNGs served with the app) streamed around the camera at the
+        // zoom level that suits it; without tiles map.png is used. Tiles only cover the home map
+        // (geoBounds): the coastline, land checks, routes, depths and water stop there too.
+        // Off by default: no tiles ship with the app, enable once assets/tiles is in place.
+        tiles: {
+            enabled: false,
+            url: 'assets/tiles/{z}/{x}/{y}.png',
+            tileSize: 256,
+            minZoom: 8,
+            maxZoom: 14,
+            margin: 1, // Extra tiles loaded around the view
+            maxTiles: 120, // Loaded tiles before other zoom levels are dropped early
+            failureLimit: 4 // Failed loads, with none succeeding, before falling back to map.png
+        },
+        // Real coastline from north to south (land lies to the west), traced from
+        // OpenStreetMap at 1 km detail (@geo-maps/earth-coastlines-1km) and clipped
+        // to geoBounds. The port's detached quays are left out.
+        coastline: [
+            { lat: 44.38, lon: 28.715 },
+            { lat: 44.376, lon: 28.711 },
+            { lat: 44.321, lon: 28.695 }, // Midia harbour moles
+            { lat: 44.345, lon: 28.676 },
+            { lat: 44.332, lon: 28.672 },
+            { lat: 44.323, lon: 28.626 },
+            { lat: 44.326, lon: 28.653 },
+            { lat: 44.323, lon: 28.69 },
+            { lat: 44.324, lon: 28.639 },
+            { lat: 44.294, lon: 28.625 }, // Navodari
+            { lat: 44.255, lon: 28.622 }, // Mamaia
+            { lat: 44.205, lon: 28.659 }, // Constanta
+            { lat: 44.162, lon: 28.658 }, // Constanta harbour
+            { lat: 44.154, lon: 28.672 },
+            { lat: 44.143, lon: 28.674 },
+            { lat: 44.108, lon: 28.708 }, // End of the southern breakwater
+            { lat: 44.143, lon: 28.672 },
+            { lat: 44.154, lon: 28.671 },
+            { lat: 44.158, lon: 28.657 },
+            { lat: 44.171, lon: 28.657 },
+            { lat: 44.167, lon: 28.643 },
+            { lat: 44.146, lon: 28.646 },
+            { lat: 44.147, lon: 28.669 },
+            { lat: 44.141, lon: 28.647 },
+            { lat: 44.099, lon: 28.637 }, // Agigea
+            { lat: 44.093, lon: 28.652 },
+            { lat: 44.108, lon: 28.665 },
+            { lat: 44.089, lon: 28.669 },
+            { lat: 44.089, lon: 28.69 },
+            { lat: 44.103, lon: 28.696 },
+            { lat: 44.091, lon: 28.695 },
+            { lat: 44.088, lon: 28.689 },
+            { lat: 44.084, lon: 28.644 },
+            { lat: 44.076, lon: 28.638 },
+            { lat: 44.04, lon: 28.65 }
+        ],
         water: {
             baseColor: 0x1E90FF, // Blue
-            waveColors: [0x4682B4, 0x1E90FF, 0x4169E1],
-            waveAmplitude: 3,
-            waveSpeed: 0.02
+            currentSpeed: 0.02, // Longshore current in pixels per frame
+            currentDirection: Math.PI / 2, // Flowing south along the coast
+            // Water shader drawn over the sea
+            shader: {
+                seed: 7, // Ripple pattern
+                pixelSize: 2, // The water is shaded in blocks of this many pixels
+                levels: 4, // Light levels on the ripples
+                rippleScale: 48, // Pixels per repeat of the ripple pattern
+                rippleStrength: 0.12, // Opacity of the lightest and darkest levels
+                rippleSpeed: 0.05, // Pixels per frame the ripples run in calm air
+                windSpeed: 0.06, // Extra pixels per frame per unit of wind intensity
+                windTurnRate: 0.01, // How quickly the ripples turn to a new wind direction
+                shoreCellSize: 2, // Pixels per texel of the water/coast mask
+                foamWidth: 6, // Pixels from the coastline the surf reaches
+                foamSpeed: 0.04, // Surf surges in and out at this rate (radians per frame)
+                foamColor: 0xFFFFFF,
+                foamStrength: 0.7,
+                skyReflection: 0.4, // Sky colour on the water, times the day/night reflection intensity
+                sunColor: 0xFFF1C1,
+                sunReflection: 0.8,
+                moonColor: 0xD8E4FF,
+                moonReflection: 0.5,
+                reflectionWidth: 20, // Half-width of the column of glints in pixels
+                reflectionLength: 140, // Pixels below the sun or moon over which the column fades
+                glint: 0.4 // Share of the ripples that catch the sun or moon
+            }
         },
         weather: {
             rainChance: 0.002, // Chance of rain starting each frame
             rainDuration: 30 * 60, // 30 seconds
             windChangeChance: 0.001, // Chance of wind changing
-            maxWindIntensity: 5
+            maxWindIntensity: 5,
+            maxRainDrops: 250, // Drops on screen at full rain intensity
+            rainSpeed: 8, // Fall speed in pixels per frame
+            fogChance: 0.0008, // Chance of fog rolling in each frame (when clear)
+            fogDuration: 40 * 60, // 40 seconds
+            fogVisibility: 0.2, // Visibility (0-1) inside thick fog
+            fogDriftSpeed: 0.15, // Fog drift per unit of wind, in pixels per frame
+            transitionSpeed: 0.01, // How quickly rain, fog and wind ease to new values
+            splash: {
+                chance: 0.4, // Fraction of landing drops that splash
+                dropletCount: 2,
+                rings: {
+                    texture: 'ring',
+                    maxParticles: 120,
+                    lifetime: [14, 24],
+                    speed: 0,
+                    size: [0.2, 0.35],
+                    scale: [[0, 0.3], [1, 1.3]],
+                    alpha: [[0, 0.6], [1, 0]],
+                    tints: [0xD6E6F5, 0xFFFFFF]
+                },
+                droplets: {
+                    texture: 'droplet',
+                    maxParticles: 160,
+                    lifetime: [8, 14],
+                    speed: [0.4, 0.9],
+                    size: [0.08, 0.15],
+                    acceleration: { x: 0, y: 0.12 }, // Falls back down
+                    alpha: [[0, 0.8], [1, 0]],
+                    tints: [0xD6E6F5, 0xFFFFFF]
+                }
+            }
         }
     },
     
     lighthouse: {
         count: 3,
         positions: [
-            { x: 0.45, y: 0.18, name: "Navodari Lighthouse" },     // Top X mark in your image
-            { x: 0.43, y: 0.60, name: "Constanta Lighthouse" },    // Middle X mark in your image
-            { x: 0.38, y: 0.86, name: "Agigea Lighthouse" }        // Bottom X mark in your image
+            // Real coordinates {lat, lon} in decimal degrees (map fractions {x, y} also work)
+            // characteristic uses chart notation: Fl, LFl, Oc, Iso, Q, VQ, Mo(X), optional (group) and period
+            { lat: 44.32, lon: 28.63, name: "Navodari Lighthouse", characteristic: "Fl(2) 10s", morseId: "NV" },
+            { lat: 44.17, lon: 28.66, name: "Constanta Lighthouse", characteristic: "Oc(3) 12s", morseId: "CT" },
+            { lat: 44.09, lon: 28.64, name: "Agigea Lighthouse", characteristic: "Mo(A) 8s", morseId: "AG" }
         ],
         colors: [0xFF0000, 0x00FF00, 0x0000FF],
         blinkRate: 60,
         signalRate: 120,
-        signalSpeed: 0.01
+        propagation: {
+            speed: 4, // Pixels per frame, so travel time scales with distance
+            range: 0.45, // Clear-weather range as a fraction of the world diagonal
+            rainAttenuation: 1.2, // Extra absorption across the full range when raining
+            fogAttenuation: 0.8, // Extra absorption across the full range in thick fog
+            minStrength: 0.2 // Weakest signal the boat receiver can still decode
+        },
+        foghorn: {
+            visibilityThreshold: 0.6, // Horns sound when visibility drops below this
+            period: 20 * 60, // Frames between soundings
+            blastDuration: 1.2, // Seconds per blast
+            pitches: [110, 147, 92], // Hz, one per lighthouse so they can be told apart
+            blasts: [2, 1, 3] // Blasts per sounding, one per lighthouse
+        },
+        sparkles: {
+            texture: 'spark',
+            threshold: 0.6, // Intensity at which the light counts as on
+            burst: 6, // Glints per flash in clear weather
+            maxParticles: 24,
+            shape: { type: 'circle', radius: 4 },
+            lifetime: [18, 36],
+            speed: [0.2, 0.6],
+            spin: [-0.08, 0.08],
+            size: [0.25, 0.5],
+            scale: [[0, 0.4], [0.2, 1], [1, 0.2]],
+            alpha: [[0, 1], [1, 0]],
+            drag: 0.92
+        }
     },
     
+    // Defaults shared by every vessel (each fleet entry can override them)
     boat: {
-        startPosition: { x: 0.5, y: 0.4 },
         speed: 0.5,
         rotationSpeed: 0.02,
+        size: 0.08, // Hull length as a fraction of the world width
+        tint: 0xFFFFFF,
+        arrivalRadius: 10, // Pixels from a waypoint that count as reaching it
+        routeMode: 'loop', // 'loop' back to the start or 'pingPong' back and forth
+        pathFollowing: {
+            samplesPerLeg: 24, // Curve samples per leg in the arc-length table
+            lookAhead: 30, // Pixels ahead on the curve to take the heading from
+            crossTrackGain: 0.1, // Turn back towards the curve per pixel off it
+            searchRange: 40, // Pixels either side of the last position to search for progress
+            joinDistance: 20, // Closer than this the boat is on the curve already
+            leaveDistance: 60 // Further off than this it routes back to the curve
+        },
         physics: {
             mass: 10,
             buoyancy: 12,
-            dragCoefficient: 0.05
-        },
-        pathPoints: [
-            { x: 0.5, y: 0.4 },
-            { x: 0.6, y: 0.35 },
-            { x: 0.7, y: 0.4 },
-            { x: 0.65, y: 0.5 },
-            { x: 0.55, y: 0.45 },
-            { x: 0.4, y: 0.35 },
-            { x: 0.3, y: 0.4 },
-            { x: 0.35, y: 0.3 }
-        ]
+            dragCoefficient: 0.05,
+            lateralDrag: 8, // Sideways drag relative to forward drag
+            windage: 0.0003, // Wind force per unit of wind intensity
+            rudderGain: 2, // Rudder per radian of heading error (autopilot)
+            rudderRate: 0.1 // How quickly the rudder follows the helm
+        },
+        wake: {
+            spacing: 4, // Pixels between trail points
+            lifetime: 240, // Frames before a point has faded out
+            startWidth: 4, // Trail width at the stern in pixels
+            spread: 0.1, // Pixels of width gained per frame of age
+            windDrift: 0.02, // Pixels per frame drifted per unit of wind intensity
+            maxAlpha: 0.45,
+            minStrength: 0.05 // No new trail below this fraction of cruising speed
+        },
+        spray: {
+            texture: 'droplet',
+            maxParticles: 40,
+            rate: 0.6, // Particles per frame at cruising speed
+            minStrength: 0.2, // No spray below this fraction of cruising speed
+            sideAngle: 1.9, // Radians off the heading, just aft of the beam
+            angleJitter: 0.35,
+            speed: [0.3, 0.8], // Pixels per frame at cruising speed
+            shape: { type: 'line', width: 4 },
+            lifetime: [20, 40],
+            size: [0.15, 0.35],
+            scale: [[0, 0.6], [0.3, 1], [1, 1.4]],
+            alpha: [[0, 0.7], [1, 0]],
+            drag: 0.94,
+            tints: [0xFFFFFF, 0xDDEEFF, 0xB8D8F0]
+        },
+        // Shallow water: the hull slows as the depth under it nears its draft
+        depth: {
+            draft: 2.5, // Metres
+            shallowRatio: 3, // Slows when the depth is less than this many drafts
+            minSpeedFactor: 0.3, // Speed left at grounding depth
+            warningClearance: 1.5 // Metres under the keel that raise the grounding warning
+        },
+        track: {
+            interval: 30, // Least frames between recorded fixes
+            minDistance: 3, // Pixels moved before another fix is recorded
+            maxPoints: 5000, // Oldest fixes are dropped beyond this
+            dotSpacing: 6, // Pixels between dots on the map
+            dotRadius: 1.2
+        },
+        receiver: {
+            timingNoise: 1, // Std deviation of arrival-time measurement, in frames
+            maxArrivalAge: 300 // Arrivals older than this (frames) are dropped from the fix
+        }
+    },
+    
+    // Manual helm (keyboard and gamepad)
+    helm: {
+        throttleRate: 0.01, // Throttle change per frame while a key is held
+        rudderRate: 0.05, // Rudder change per frame while a key is held (it centres at the same rate)
+        minThrottle: -0.5, // Full astern
+        deadZone: 0.15 // Gamepad stick and trigger dead zone
+    },
+    
+    // Route editor for vessel patrols
+    routeEditor: {
+        handleRadius: 6, // Waypoint handle size in pixels
+        legTolerance: 8, // Screen pixels from a leg that count as clicking on it
+        samplesPerLeg: 24, // Curve samples per leg for drawing and land checks
+        minPoints: 2
+    },
+    
+    // Water depth: loaded from a depth file, or estimated (from the generated terrain or the coast)
+    bathymetry: {
+        url: null, // Grayscale PNG (black dry, white maxDepth) or CSV of metres; estimated when unset
+        maxDepth: 60, // Metres at white in a depth image, and the deepest estimate
+        cellSize: 8, // Estimate grid cell size in pixels
+        shoreDepth: 1, // Metres just off the coast (estimate)
+        shelfGradient: 10, // Metres deeper per nautical mile offshore (estimate)
+        metresPerHeight: 12, // Metres per unit of height below sea level (generated terrain)
+        tintAlpha: 0.45,
+        colors: [[0, 0xB5E6EB], [5, 0x6CC3DC], [20, 0x2F7FC0], [60, 0x163D73]], // [metres, colour] shallow to deep
+        contours: [2, 5, 10, 20, 30, 50], // Contour depths in metres
+        contourColor: 0xFFFFFF,
+        contourAlpha: 0.5,
+        showChart: true, // Contours and soundings shown at start (B toggles them)
+        soundingSpacing: 40, // Pixels between soundings
+        minSounding: 0.5, // No soundings in shallower water
+        soundingColor: 0xFFFFFF,
+        soundingAlpha: 0.6
+    },
+    
+    // Route planning grid built from the coastline
+    navigation: {
+        cellSize: 6, // Grid cell size in pixels
+        clearance: 1 // Cells of open water kept between routes and the shore
+    },
+    
+    // Collision avoidance and right-of-way (distances are fractions of the world diagonal)
+    steering: {
+        detectionRange: 0.25, // Vessels further away are ignored
+        safeDistance: 0.06, // Closest approach that counts as a risk of collision
+        closeQuarters: 0.025, // Stand-on vessel acts itself below this closest approach
+        separationRadius: 0.04, // Vessels closer than this push each other apart
+        separationWeight: 1.5,
+        lookAhead: 0.06, // How far ahead to check for land
+        horizon: 600, // Ignore closest approaches further ahead than this (frames)
+        giveWayTurn: 0.6, // Alteration to starboard when giving way (radians)
+        giveWaySpeed: 0.6, // Speed factor while giving way
+        turnRate: 0.05, // How quickly course alterations are applied
+        holdTime: 120 // Frames to hold a manoeuvre after the risk has passed
     },
     
+    // Vessels in the harbour; each starts at the first point of its path
+    fleet: [
+        {
+            name: "Research Vessel",
+            description: "This research vessel contains a signal receiver system\nthat processes timing signals from coastal lighthouses.",
+            pathPoints: [
+                { x: 0.5, y: 0.4 },
+                { x: 0.6, y: 0.35 },
+                { x: 0.7, y: 0.4 },
+                { x: 0.65, y: 0.5 },
+                { x: 0.55, y: 0.45 },
+                { x: 0.45, y: 0.36 },
+                { x: 0.42, y: 0.42 },
+                { x: 0.4, y: 0.28 }
+            ]
+        },
+        {
+            name: "Harbour Pilot",
+            description: "The pilot boat meets ships outside Constanta\nand guides them into the harbour.",
+            speed: 0.8,
+            size: 0.06,
+            tint: 0xFFD27F,
+            pathPoints: [
+                { x: 0.5, y: 0.6 },
+                { x: 0.6, y: 0.55 },
+                { x: 0.72, y: 0.62 },
+                { x: 0.62, y: 0.72 },
+                { x: 0.52, y: 0.68 }
+            ]
+        },
+        {
+            name: "Fishing Trawler",
+            description: "A trawler working the grounds off Navodari,\nfixing its position from the lighthouse signals.",
+            speed: 0.35,
+            tint: 0x9FD8A8,
+            routeMode: 'pingPong',
+            pathPoints: [
+                { x: 0.75, y: 0.2 },
+                { x: 0.86, y: 0.28 },
+                { x: 0.82, y: 0.42 },
+                { x: 0.7, y: 0.34 }
+            ]
+        },
+        {
+            name: "Cargo Ship",
+            description: "A coastal freighter bound for Agigea,\nslow to turn and slow to stop.",
+            speed: 0.3,
+            size: 0.1,
+            rotationSpeed: 0.01,
+            tint: 0xC8B8FF,
+            pathPoints: [
+                { x: 0.9, y: 0.86 },
+                { x: 0.72, y: 0.78 },
+                { x: 0.56, y: 0.82 },
+                { x: 0.72, y: 0.92 }
+            ]
+        }
+    ],
+    
     // Asset paths - UPDATED to include map.png
     assets: {
         images: {
@@ -100,6 +437,41 @@ export const CONFIG = {
         }
     },
     
+    // Ambience mixing (track keys refer to assets.audio)
+    audio: {
+        masterVolume: 0.6,
+        fadeSpeed: 0.02, // Fraction of the remaining volume change applied per frame
+        tracks: {
+            day: 'dayAmbience',
+            night: 'nightAmbience',
+            rain: 'rainSound',
+            waves: 'waveSound'
+        },
+        levels: {
+            day: 0.5,
+            night: 0.5,
+            rain: 0.7,
+            waves: 0.4,
+            foghorn: 0.3
+        }
+    },
+    
+    // Simulation clock
+    clock: {
+        minScale: 0.25,
+        maxScale: 16,
+        maxStep: 2 // Longest simulation step in frames; faster time scales run several steps per frame
+    },
+    
+    // Camera pan and zoom
+    camera: {
+        minZoom: 1,
+        maxZoom: 4,
+        easing: 0.15, // Fraction of the remaining distance covered per frame
+        wheelSensitivity: 0.0015,
+        dragThreshold: 5 // Pixels the pointer must move before a press becomes a drag
+    },
+    
     // User interface settings
     ui: {
         zoomDuration: 1, // seconds
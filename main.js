@@ -5,13 +5,26 @@
 import { CONFIG } from './config.js';
 
 // Import modules
-import { initializeRenderer } from './modules/renderer.js';
+import { initializeRenderer, setCamera } from './modules/renderer.js';
 import { createMap } from './modules/map.js';
 import { createLighthouses } from './modules/lighthouse.js';
-import { createBoat } from './modules/boat.js';
+import { createFleet } from './modules/fleet.js';
+import { createSteering } from './modules/steering.js';
+import { createNavigation } from './modules/navigation.js';
 import { initializeDayNightCycle } from './modules/dayNightCycle.js';
 import { setupEventListeners } from './modules/interactions.js';
 import { loadAssets, setAppInstance } from './modules/assetLoader.js';
+import { createPropagationModel } from './modules/propagation.js';
+import { createAudioManager } from './modules/audio.js';
+import { createCamera } from './modules/camera.js';
+import { createRegistry } from './modules/registry.js';
+import { createClock } from './modules/clock.js';
+import { createHelm } from './modules/helm.js';
+import { createRouteEditor } from './modules/routeEditor.js';
+import { createGeoProjection } from './modules/geo.js';
+import { createTileMap } from './modules/tileMap.js';
+import { createBathymetry } from './modules/bathymetry.js';
+import { createTrackControls } from './modules/track.js';
 
 const state = {
     isLoading: true,
@@ -21,18 +34,36 @@ const state = {
     dayTime: 0,
     isDay: true,
     weather: {
+        condition: 'clear',
         isRaining: false,
+        rainIntensity: 0,
+        isFoggy: false,
+        fogDensity: 0,
+        visibility: 1,
         windIntensity: 0,
         windDirection: 0
     },
     entities: {
         map: null,
-        boat: null,
+        fleet: null,
         lighthouses: []
     },
-    signals: [],
+    registry: null,
+    clock: null,
+    propagation: null,
+    steering: null,
+    navigation: null,
+    bathymetry: null,
+    helm: null,
+    routeEditor: null,
+    trackControls: null,
+    geo: null,
+    dayNightCycle: null,
+    audio: null,
+    camera: null,
     app: null,
     layers: {},
+    layout: null,
     config: CONFIG  // Add CONFIG to state
 };
 
@@ -48,9 +79,17 @@ async function initApp() {
     
     try {
         // Initialize PixiJS renderer
-        const { app, layers } = initializeRenderer(CONFIG.renderer);
+        const { app, layers, layout } = initializeRenderer(CONFIG.renderer);
         state.app = app;
         state.layers = layers;
+        state.layout = layout;
+        
+        // Camera over the world layers
+        state.camera = createCamera(state);
+        setCamera(state.camera);
+        
+        // Latitude/longitude for map positions
+        state.geo = createGeoProjection(state);
         
         // Set app instance for asset loader
         setAppInstance(app);
@@ -60,19 +99,59 @@ async function initApp() {
         await loadAssets(CONFIG.assets, app);
         console.log('Assets loaded successfully');
         
+        // Registry that updates every entity and system each frame
+        state.registry = createRegistry();
+        
+        // Simulation clock (pause, step and time scale)
+        state.clock = createClock(state);
+        
+        // Signal propagation model shared by all lighthouses
+        state.propagation = createPropagationModel(state);
+        
         // Create scene components
         console.log('Creating map...');
-        state.entities.map = createMap(state);
+        state.entities.map = state.registry.add('map', createMap(state));
+        
+        // Slippy tiles streamed around the camera (over map.png, which stays as the fallback)
+        if (CONFIG.map.tiles && CONFIG.map.tiles.enabled) {
+            state.tileMap = state.registry.add('tiles', createTileMap(state), { realTime: true });
+        }
+        
+        // Water depth: tint, contours and soundings, and shallow water for the vessels
+        state.bathymetry = createBathymetry(state);
         
         console.log('Creating lighthouses...');
         state.entities.lighthouses = createLighthouses(state);
+        state.entities.lighthouses.forEach(lighthouse => state.registry.add('lighthouse', lighthouse));
+        
+        // Water grid for routing vessels around land
+        state.navigation = createNavigation(state);
+        
+        // Collision avoidance shared by every vessel
+        state.steering = createSteering(state);
+        
+        console.log('Creating fleet...');
+        state.entities.fleet = createFleet(state);
+        
+        // Manual helm (keyboard and gamepad), read every frame even while paused
+        state.helm = state.registry.add('helm', createHelm(state), { realTime: true });
         
-        console.log('Creating boat...');
-        state.entities.boat = createBoat(state);
+        // Route editor (also applies the routes saved in this browser)
+        state.routeEditor = createRouteEditor(state);
+        
+        // Show, clear and export the vessels' recorded tracks
+        state.trackControls = createTrackControls(state);
         
         // Initialize day/night cycle
         console.log('Initializing day/night cycle...');
-        initializeDayNightCycle(state);
+        state.dayNightCycle = state.registry.add('dayNight', initializeDayNightCycle(state));
+        
+        // Ambience audio (starts on the first user gesture)
+        console.log('Initializing audio...');
+        state.audio = state.registry.add('audio', createAudioManager(state), { realTime: true });
+        
+        // Camera eases after everything has moved, and keeps working while paused
+        state.registry.add('camera', state.camera, { realTime: true });
         
         // Setup user interactions and event listeners
         console.log('Setting up event listeners...');
@@ -105,104 +184,16 @@ async function initApp() {
 
 // Main game loop
 function gameLoop(delta) {
-    state.time += delta;
-    
-    // Update all components
-    updateMap(delta);
-    updateLighthouses(delta);
-    updateBoat(delta);
-    updateSignals(delta);
-    updateDayNightCycle(delta);
-}
-
-// Component update functions
-function updateMap(delta) {
-    if (state.entities.map && state.entities.map.update) {
-        state.entities.map.update(delta);
-    }
-}
-
-function updateLighthouses(delta) {
-    if (state.entities.lighthouses) {
-        state.entities.lighthouses.forEach(lighthouse => {
-            if (lighthouse.update) {
-                lighthouse.update(delta);
-            }
-        });
-    }
-}
-
-function updateBoat(delta) {
-    if (state.entities.boat && state.entities.boat.update) {
-        state.entities.boat.update(delta);
-    }
-}
-
-function updateSignals(delta) {
-    // Update existing signals
-    for (let i = state.signals.length - 1; i >= 0; i--) {
-        const signal = state.signals[i];
-        if (signal.update(delta)) {
-            // Signal is finished, remove it
-            signal.destroy();
-            state.signals.splice(i, 1);
-        }
-    }
-    
-    // Create new signals if needed
-    if (!state.isZoomed && Math.random() < 0.01) {
-        const randomLighthouse = state.entities.lighthouses[
-            Math.floor(Math.random() * state.entities.lighthouses.length)
-        ];
-        
-        if (randomLighthouse && randomLighthouse.createSignal) {
-            const newSignal = randomLighthouse.createSignal(state.entities.boat);
-            if (newSignal) {
-                state.signals.push(newSignal);
-            }
-        }
-    }
-}
-
-function updateDayNightCycle(delta) {
-    // Day/night cycle updates handled by the module
-}
-
-function handleResize() {
-    const { width, height } = state.app.screen;
-    
-    // Update map dimensions
-    if (state.entities.map && state.entities.map.resize) {
-        state.entities.map.resize(width, height);
-    }
-    
-    // Update lighthouses positions
-    if (state.entities.lighthouses && state.entities.lighthouses.length > 0) {
-        state.entities.lighthouses.forEach(lighthouse => {
-            if (lighthouse.resize) {
-                lighthouse.resize(width, height);
-            }
-        });
-    }
-    
-    // Update boat path and position
-    if (state.entities.boat && state.entities.boat.resize) {
-        state.entities.boat.resize(width, height);
-    }
+    // Advance the simulation on clock time (paused, stepped or scaled)
+    state.clock.tick(delta, (step) => {
+        state.time = state.clock.time;
+        state.registry.update(step);
+    });
     
-    // Re-render everything
-    state.app.renderer.render(state.app.stage);
+    // Camera and audio follow real time
+    state.registry.update(delta, true);
+    state.registry.endFrame();
 }
 
-// Make sure this function is called whenever the window is resized
-window.addEventListener('resize', handleResize);
-
-// Also call it immediately after all elements are initialized
-window.addEventListener('game-loaded', handleResize);
-
-// Dispatch a custom event when game is loaded (add this at the end of initApp function)
-function notifyGameLoaded() {
-    window.dispatchEvent(new CustomEvent('game-loaded'));
-}
 // Initialize the application when the DOM is ready
 document.addEventListener('DOMContentLoaded', initApp);
\ No newline at end of file
@@ -32,6 +32,15 @@ export const AssetCache = {
         return this.textures[key];
     },
     
+    /**
+     * Check whether a texture was loaded
+     * @param {string} key - The texture key
+     * @returns {boolean} - True if the texture is in the cache
+     */
+    hasTexture(key) {
+        return Boolean(this.textures[key]);
+    },
+    
     /**
      * Get a spritesheet by its key
      * @param {string} key - The spritesheet key
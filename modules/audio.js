@@ -0,0 +1,273 @@
+// audio.js - Ambience mixer driven by time of day and weather
+
+import { AssetCache } from './assetLoader.js';
+
+/**
+ * Creates the audio manager that mixes the ambience tracks loaded by the asset loader
+ * @param {Object} state - Global application state
+ * @returns {Object} - Audio manager
+ */
+export function createAudioManager(state) {
+    const config = state.config.audio;
+    const maxWind = state.config.map.weather.maxWindIntensity;
+    
+    // Loop every ambience track; volumes are faded by update()
+    const tracks = {};
+    Object.entries(config.tracks).forEach(([channel, key]) => {
+        const audio = AssetCache.getAudio(key);
+        if (!audio) {
+            console.warn(`Audio '${key}' not loaded, ${channel} ambience disabled`);
+            return;
+        }
+        
+        audio.loop = true;
+        audio.volume = 0;
+        tracks[channel] = { audio, volume: 0 };
+    });
+    
+    const audioManager = {
+        tracks,
+        unlocked: false,
+        muted: false,
+        context: null,
+        masterVolume: config.masterVolume,
+        onChange: null, // Called when mute/volume/unlock state changes (UI refresh)
+        
+        /**
+         * Start playback - browsers only allow this from a user gesture
+         */
+        unlock() {
+            if (this.unlocked) return;
+            this.unlocked = true;
+            
+            // Synthesised cues (foghorns) need a Web Audio context, also gesture-gated
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (AudioContext) {
+                this.context = new AudioContext();
+            }
+            
+            Object.entries(tracks).forEach(([channel, track]) => {
+                const playback = track.audio.play();
+                if (playback && playback.catch) {
+                    playback.catch(error => console.warn(`Could not start ${channel} ambience:`, error));
+                }
+            });
+            
+            console.log('Audio started');
+            this.notifyChange();
+        },
+        
+        /**
+         * Fade each channel towards the level the scene calls for
+         * @param {number} delta - Time elapsed
+         */
+        update(delta) {
+            if (!this.unlocked) return;
+            
+            const targets = this.getTargetLevels();
+            const fade = Math.min(1, config.fadeSpeed * delta);
+            const master = this.muted ? 0 : this.masterVolume;
+            
+            Object.entries(tracks).forEach(([channel, track]) => {
+                track.volume += ((targets[channel] || 0) - track.volume) * fade;
+                track.audio.volume = Math.max(0, Math.min(1, track.volume * master));
+            });
+        },
+        
+        /**
+         * Work out how loud each channel should be right now
+         * @returns {Object} - Channel levels between 0 and 1
+         */
+        getTargetLevels() {
+            const daylight = state.dayNightCycle ? state.dayNightCycle.getDaylight() : 1;
+            const weather = state.weather || {};
+            const wind = Math.min(1, (weather.windIntensity || 0) / maxWind);
+            
+            return {
+                day: daylight * config.levels.day,
+                night: (1 - daylight) * config.levels.night,
+                rain: weather.isRaining ? config.levels.rain : 0,
+                waves: (0.3 + wind * 0.7) * config.levels.waves
+            };
+        },
+        
+        /**
+         * Synthesise a foghorn: low, slightly detuned sawtooth blasts through a low-pass filter
+         * @param {Object} options - {pitch (Hz), blasts, duration (s per blast), volume (0-1), pan (-1 to 1)}
+         */
+        playFoghorn({ pitch, blasts = 1, duration = 1.2, volume = 1, pan = 0 }) {
+            const ctx = this.context;
+            if (!ctx || this.muted) return;
+            
+            const level = volume * this.masterVolume * config.levels.foghorn;
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = pitch * 4;
+            
+            let output = filter;
+            if (ctx.createStereoPanner) {
+                const panner = ctx.createStereoPanner();
+                panner.pan.value = Math.max(-1, Math.min(1, pan));
+                filter.connect(panner);
+                output = panner;
+            }
+            output.connect(ctx.destination);
+            
+            for (let i = 0; i < blasts; i++) {
+                const start = ctx.currentTime + i * duration * 1.6;
+                const end = start + duration;
+                
+                const gain = ctx.createGain();
+                gain.gain.setValueAtTime(0, start);
+                gain.gain.linearRampToValueAtTime(level, start + 0.15);
+                gain.gain.setValueAtTime(level, end - 0.3);
+                gain.gain.linearRampToValueAtTime(0, end);
+                gain.connect(filter);
+                
+                [1, 1.01].forEach(detune => {
+                    const oscillator = ctx.createOscillator();
+                    oscillator.type = 'sawtooth';
+                    oscillator.frequency.value = pitch * detune;
+                    oscillator.connect(gain);
+                    oscillator.start(start);
+                    oscillator.stop(end);
+                });
+            }
+        },
+        
+        /**
+         * Set the master volume
+         * @param {number} volume - Volume between 0 and 1
+         */
+        setVolume(volume) {
+            this.masterVolume = Math.max(0, Math.min(1, volume));
+            if (this.masterVolume > 0) {
+                this.muted = false;
+            }
+            this.notifyChange();
+        },
+        
+        /**
+         * Toggle mute on/off
+         */
+        toggleMute() {
+            this.muted = !this.muted;
+            console.log(`Audio ${this.muted ? 'muted' : 'unmuted'}`);
+            this.notifyChange();
+        },
+        
+        /**
+         * Let the controls know the state changed
+         */
+        notifyChange() {
+            if (this.onChange) {
+                this.onChange();
+            }
+        }
+    };
+    
+    // Start audio on the first user gesture (autoplay policy)
+    const onFirstGesture = () => {
+        audioManager.unlock();
+        window.removeEventListener('pointerdown', onFirstGesture);
+        window.removeEventListener('keydown', onFirstGesture);
+    };
+    window.addEventListener('pointerdown', onFirstGesture);
+    window.addEventListener('keydown', onFirstGesture);
+    
+    createAudioControls(audioManager, state);
+    
+    return audioManager;
+}
+
+/**
+ * Creates the mute button and volume slider
+ * @param {Object} audioManager - Audio manager to control
+ * @param {Object} state - Global application state
+ * @returns {PIXI.Container} - Controls container
+ */
+function createAudioControls(audioManager, state) {
+    const { app, layers } = state;
+    const sliderWidth = 80;
+    
+    const controls = new PIXI.Container();
+    controls.name = 'audioControls';
+    
+    // Panel background
+    const panel = new PIXI.Graphics();
+    panel.beginFill(0x000000, 0.5);
+    panel.drawRoundedRect(0, 0, 140, 30, 5);
+    panel.endFill();
+    
+    // Mute button
+    const muteButton = new PIXI.Text('', {
+        fontFamily: 'Arial',
+        fontSize: 12,
+        fill: 0xFFFFFF
+    });
+    muteButton.position.set(8, 8);
+    muteButton.interactive = true;
+    muteButton.cursor = 'pointer';
+    
+    // Volume slider track and fill
+    const slider = new PIXI.Graphics();
+    slider.position.set(50, 11);
+    slider.interactive = true;
+    slider.cursor = 'pointer';
+    slider.hitArea = new PIXI.Rectangle(0, -6, sliderWidth, 20);
+    
+    const redraw = () => {
+        const enabled = audioManager.unlocked && !audioManager.muted;
+        muteButton.text = enabled ? 'Sound' : 'Muted';
+        
+        slider.clear();
+        slider.beginFill(0x555555);
+        slider.drawRect(0, 0, sliderWidth, 8);
+        slider.endFill();
+        slider.beginFill(enabled ? 0x4CAF50 : 0x888888);
+        slider.drawRect(0, 0, sliderWidth * audioManager.masterVolume, 8);
+        slider.endFill();
+    };
+    
+    muteButton.on('pointerdown', () => {
+        // The first click also unlocks audio, so only toggle once it is running
+        if (audioManager.unlocked) {
+            audioManager.toggleMute();
+        }
+        audioManager.unlock();
+    });
+    
+    let dragging = false;
+    const setFromPointer = (e) => {
+        const local = slider.toLocal(e.data.global);
+        audioManager.unlock();
+        audioManager.setVolume(local.x / sliderWidth);
+    };
+    
+    slider.on('pointerdown', (e) => {
+        dragging = true;
+        setFromPointer(e);
+    });
+    slider.on('pointermove', (e) => {
+        if (dragging) setFromPointer(e);
+    });
+    slider.on('pointerup', () => { dragging = false; });
+    slider.on('pointerupoutside', () => { dragging = false; });
+    
+    controls.addChild(panel, muteButton, slider);
+    layers.ui.addChild(controls);
+    
+    // Keep in the bottom-left corner
+    const position = (width, height) => controls.position.set(10, height - 40);
+    position(app.screen.width, app.screen.height);
+    
+    window.addEventListener('game-resize', (e) => {
+        position(e.detail.width, e.detail.height);
+    });
+    
+    // Refresh whenever audio is unlocked, muted or changes volume (also from the keyboard)
+    audioManager.onChange = redraw;
+    redraw();
+    
+    return controls;
+}
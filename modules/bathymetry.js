@@ -0,0 +1,404 @@
+// bathymetry.js - Water depth grid: loading, depth tint, contours and soundings
+
+/**
+ * Parse a CSV depth grid: one row per line from north to south, depths in
+ * metres from west to east. Blank, negative or zero values are dry land.
+ * @param {string} text - CSV text
+ * @returns {Object} - {columns, rows, depths}
+ */
+export function parseDepthCsv(text) {
+    const lines = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+    const values = lines.map(line => line.split(/[,;\t]/).map(value => parseFloat(value)));
+    const columns = Math.max(...values.map(row => row.length));
+    const rows = values.length;
+    
+    const depths = new Float32Array(columns * rows);
+    values.forEach((row, y) => {
+        for (let x = 0; x < columns; x++) {
+            depths[y * columns + x] = Math.max(0, row[x] || 0);
+        }
+    });
+    
+    return { columns, rows, depths };
+}
+
+/**
+ * Read a grayscale depth image: black is dry land, white is maxDepth
+ * @param {ImageData} imageData - Image pixels
+ * @param {number} maxDepth - Depth in metres of a white pixel
+ * @returns {Object} - {columns, rows, depths}
+ */
+export function depthsFromImage(imageData, maxDepth) {
+    const { width, height, data } = imageData;
+    const depths = new Float32Array(width * height);
+    
+    for (let i = 0; i < depths.length; i++) {
+        // Transparent pixels are land too
+        const alpha = data[i * 4 + 3] / 255;
+        const gray = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / (3 * 255);
+        depths[i] = gray * alpha * maxDepth;
+    }
+    
+    return { columns: width, rows: height, depths };
+}
+
+/**
+ * Load a depth grid from a grayscale PNG or a CSV file
+ * @param {string} url - File URL (.csv for CSV, anything else is read as an image)
+ * @param {number} maxDepth - Depth in metres of a white image pixel
+ * @returns {Promise<Object>} - Resolves with {columns, rows, depths}
+ */
+export async function loadDepthGrid(url, maxDepth) {
+    if (/\.csv($|\?)/i.test(url)) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load depth grid: ${url} (${response.status})`);
+        }
+        return parseDepthCsv(await response.text());
+    }
+    
+    const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Failed to load depth grid: ${url}`));
+        img.src = url;
+    });
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    
+    return depthsFromImage(context.getImageData(0, 0, image.width, image.height), maxDepth);
+}
+
+/**
+ * Colour for a depth from gradient stops
+ * @param {Array} stops - [[depth, colour], ...] from shallow to deep
+ * @param {number} depth - Depth in metres
+ * @returns {number} - Colour
+ */
+export function depthColor(stops, depth) {
+    if (depth <= stops[0][0]) return stops[0][1];
+    
+    for (let i = 1; i < stops.length; i++) {
+        const [d1, c1] = stops[i];
+        if (depth <= d1) {
+            const [d0, c0] = stops[i - 1];
+            return mixColors(c0, c1, (depth - d0) / (d1 - d0 || 1));
+        }
+    }
+    
+    return stops[stops.length - 1][1];
+}
+
+/**
+ * Trace contour lines through a grid (marching squares)
+ * @param {Object} grid - {columns, rows, depths}
+ * @param {number} level - Depth of the contour in metres
+ * @returns {Array} - [[{x, y}, {x, y}], ...] segments in grid units (cell centres at whole numbers)
+ */
+export function traceContours(grid, level) {
+    const { columns, rows, depths } = grid;
+    const segments = [];
+    const at = (x, y) => depths[y * columns + x];
+    
+    // Where the level crosses the edge between two corners
+    const cross = (x0, y0, d0, x1, y1, d1) => {
+        const t = (level - d0) / (d1 - d0);
+        return { x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t };
+    };
+    
+    for (let y = 0; y < rows - 1; y++) {
+        for (let x = 0; x < columns - 1; x++) {
+            const a = at(x, y);
+            const b = at(x + 1, y);
+            const c = at(x + 1, y + 1);
+            const d = at(x, y + 1);
+            
+            // Corners deeper than the level: 8 top-left, 4 top-right, 2 bottom-right, 1 bottom-left
+            const index = (a > level ? 8 : 0) | (b > level ? 4 : 0) | (c > level ? 2 : 0) | (d > level ? 1 : 0);
+            if (index === 0 || index === 15) continue;
+            
+            const top = () => cross(x, y, a, x + 1, y, b);
+            const right = () => cross(x + 1, y, b, x + 1, y + 1, c);
+            const bottom = () => cross(x, y + 1, d, x + 1, y + 1, c);
+            const left = () => cross(x, y, a, x, y + 1, d);
+            
+            switch (index) {
+                case 1: case 14: segments.push([left(), bottom()]); break;
+                case 2: case 13: segments.push([bottom(), right()]); break;
+                case 3: case 12: segments.push([left(), right()]); break;
+                case 4: case 11: segments.push([top(), right()]); break;
+                case 6: case 9: segments.push([top(), bottom()]); break;
+                case 7: case 8: segments.push([left(), top()]); break;
+                // Saddles: two crossings, left as two separate segments
+                case 5: segments.push([left(), top()], [bottom(), right()]); break;
+                case 10: segments.push([top(), right()], [left(), bottom()]); break;
+            }
+        }
+    }
+    
+    return segments;
+}
+
+/**
+ * Distance in cells from every cell to the nearest land cell (two-pass chamfer)
+ * @param {number} columns - Grid columns
+ * @param {number} rows - Grid rows
+ * @param {Function} isLand - Called with (column, row)
+ * @returns {Float32Array} - Distances, 0 on land
+ */
+export function distanceToLand(columns, rows, isLand) {
+    const distances = new Float32Array(columns * rows);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            distances[row * columns + column] = isLand(column, row) ? 0 : Infinity;
+        }
+    }
+    
+    const diagonal = Math.SQRT2;
+    const relax = (column, row, dx, dy, cost) => {
+        const x = column + dx;
+        const y = row + dy;
+        if (x < 0 || y < 0 || x >= columns || y >= rows) return;
+        
+        const i = row * columns + column;
+        distances[i] = Math.min(distances[i], distances[y * columns + x] + cost);
+    };
+    
+    // Forward from the top left, then back from the bottom right
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            relax(column, row, -1, 0, 1);
+            relax(column, row, 0, -1, 1);
+            relax(column, row, -1, -1, diagonal);
+            relax(column, row, 1, -1, diagonal);
+        }
+    }
+    for (let row = rows - 1; row >= 0; row--) {
+        for (let column = columns - 1; column >= 0; column--) {
+            relax(column, row, 1, 0, 1);
+            relax(column, row, 0, 1, 1);
+            relax(column, row, 1, 1, diagonal);
+            relax(column, row, -1, 1, diagonal);
+        }
+    }
+    
+    return distances;
+}
+
+/**
+ * Creates the bathymetry for the scene. The depth grid covers the map's
+ * geographic bounds; until a depth file has loaded (or if there is none) it
+ * is estimated from the generated terrain's heights or from the distance to
+ * the coast. Draws a depth tint over the water, contour lines and soundings.
+ * @param {Object} state - Global application state
+ * @returns {Object} - Bathymetry with depthAt, load, setGrid and toggle
+ */
+export function createBathymetry(state) {
+    const { layers, layout } = state;
+    const config = state.config.bathymetry;
+    
+    // Over the map image and the tiles, under the vessels
+    const container = new PIXI.Container();
+    const tint = new PIXI.Sprite(PIXI.Texture.EMPTY);
+    const contours = new PIXI.Graphics();
+    const soundings = new PIXI.Container();
+    container.addChild(tint, contours, soundings);
+    layers.terrain.addChild(container);
+    
+    const bathymetry = {
+        container,
+        grid: null,
+        // Where the grid came from: 'file' or 'estimate'
+        source: null,
+        // Whether contours and soundings are shown
+        chartVisible: config.showChart,
+        
+        /**
+         * Depth at a map position, interpolated between grid cells
+         * @param {number} x - X position
+         * @param {number} y - Y position
+         * @returns {number} - Depth in metres (0 on land)
+         */
+        depthAt(x, y) {
+            const { columns, rows, depths } = this.grid;
+            
+            // Grid units, with cell centres at whole numbers; clamped to the edge cells off the map
+            const gx = Math.max(0, Math.min(columns - 1, x / layout.width * columns - 0.5));
+            const gy = Math.max(0, Math.min(rows - 1, y / layout.height * rows - 0.5));
+            const x0 = Math.floor(gx);
+            const y0 = Math.floor(gy);
+            const x1 = Math.min(columns - 1, x0 + 1);
+            const y1 = Math.min(rows - 1, y0 + 1);
+            const fx = gx - x0;
+            const fy = gy - y0;
+            
+            const top = depths[y0 * columns + x0] * (1 - fx) + depths[y0 * columns + x1] * fx;
+            const bottom = depths[y1 * columns + x0] * (1 - fx) + depths[y1 * columns + x1] * fx;
+            return top * (1 - fy) + bottom * fy;
+        },
+        
+        /**
+         * Estimate depths when there is no depth file: from the generated terrain's
+         * heights, or growing with the distance offshore over the shelf
+         * @returns {Object} - {columns, rows, depths}
+         */
+        estimate() {
+            const map = state.entities.map;
+            const generated = map && map.terrain ? map.terrain.generated : null;
+            
+            if (generated) {
+                const depths = new Float32Array(generated.heights.length);
+                generated.heights.forEach((value, i) => {
+                    depths[i] = Math.max(0, -value * config.metresPerHeight);
+                });
+                return { columns: generated.columns, rows: generated.rows, depths };
+            }
+            
+            const columns = Math.ceil(layout.width / config.cellSize);
+            const rows = Math.ceil(layout.height / config.cellSize);
+            const distances = distanceToLand(columns, rows, (column, row) => map && map.isLand(
+                (column + 0.5) * config.cellSize,
+                (row + 0.5) * config.cellSize
+            ));
+            
+            const nmPerCell = state.geo.pixelsToNm(config.cellSize);
+            const depths = new Float32Array(columns * rows);
+            distances.forEach((distance, i) => {
+                depths[i] = distance === 0 ? 0 :
+                    Math.min(config.maxDepth, config.shoreDepth + distance * nmPerCell * config.shelfGradient);
+            });
+            return { columns, rows, depths };
+        },
+        
+        /**
+         * Load the depth file, keeping the estimate if it can't be read
+         * @param {string} url - Grayscale PNG or CSV
+         * @returns {Promise} - Resolves once the grid is in use (or the load has failed)
+         */
+        load(url) {
+            return loadDepthGrid(url, config.maxDepth)
+                .then(grid => this.setGrid(grid, 'file'))
+                .catch(err => console.warn(`Bathymetry not loaded (${err.message}), estimating depths`));
+        },
+        
+        /**
+         * Use a depth grid and redraw the chart
+         * @param {Object} grid - {columns, rows, depths}
+         * @param {string} source - 'file' or 'estimate'
+         */
+        setGrid(grid, source) {
+            this.grid = grid;
+            this.source = source;
+            this.drawTint();
+            this.drawChart();
+        },
+        
+        /**
+         * Bake the depth tint, one texel per grid cell, stretched over the map
+         */
+        drawTint() {
+            const { columns, rows, depths } = this.grid;
+            const canvas = document.createElement('canvas');
+            canvas.width = columns;
+            canvas.height = rows;
+            const context = canvas.getContext('2d');
+            const image = context.createImageData(columns, rows);
+            
+            depths.forEach((depth, i) => {
+                const color = depthColor(config.colors, depth);
+                image.data[i * 4] = (color >> 16) & 0xFF;
+                image.data[i * 4 + 1] = (color >> 8) & 0xFF;
+                image.data[i * 4 + 2] = color & 0xFF;
+                image.data[i * 4 + 3] = depth > 0 ? Math.round(config.tintAlpha * 255) : 0;
+            });
+            context.putImageData(image, 0, 0);
+            
+            // Smooth between cells, unlike the pixel-art textures
+            if (tint.texture !== PIXI.Texture.EMPTY) {
+                tint.texture.destroy(true);
+            }
+            tint.texture = PIXI.Texture.from(canvas, { scaleMode: PIXI.SCALE_MODES.LINEAR });
+            tint.width = layout.width;
+            tint.height = layout.height;
+        },
+        
+        /**
+         * Draw the depth contours and the soundings
+         */
+        drawChart() {
+            const { columns, rows } = this.grid;
+            const cellWidth = layout.width / columns;
+            const cellHeight = layout.height / rows;
+            
+            contours.clear();
+            config.contours.forEach(level => {
+                contours.lineStyle(1, config.contourColor, level % 10 === 0 ? config.contourAlpha : config.contourAlpha * 0.6);
+                traceContours(this.grid, level).forEach(([from, to]) => {
+                    contours.moveTo((from.x + 0.5) * cellWidth, (from.y + 0.5) * cellHeight);
+                    contours.lineTo((to.x + 0.5) * cellWidth, (to.y + 0.5) * cellHeight);
+                });
+            });
+            
+            soundings.removeChildren().forEach(label => label.destroy());
+            for (let y = config.soundingSpacing / 2; y < layout.height; y += config.soundingSpacing) {
+                for (let x = config.soundingSpacing / 2; x < layout.width; x += config.soundingSpacing) {
+                    const depth = this.depthAt(x, y);
+                    if (depth < config.minSounding) continue;
+                    
+                    // Chart style: tenths in shallow water, whole metres further out
+                    const label = new PIXI.Text(depth < 10 ? depth.toFixed(1) : String(Math.round(depth)), {
+                        fontFamily: 'Arial',
+                        fontSize: 7,
+                        fill: config.soundingColor
+                    });
+                    label.anchor.set(0.5);
+                    label.position.set(x, y);
+                    label.alpha = config.soundingAlpha;
+                    soundings.addChild(label);
+                }
+            }
+            
+            contours.visible = this.chartVisible;
+            soundings.visible = this.chartVisible;
+        },
+        
+        /**
+         * Show or hide the contours and soundings
+         */
+        toggle() {
+            this.chartVisible = !this.chartVisible;
+            contours.visible = this.chartVisible;
+            soundings.visible = this.chartVisible;
+        }
+    };
+    
+    bathymetry.setGrid(bathymetry.estimate(), 'estimate');
+    if (config.url) {
+        bathymetry.load(config.url);
+    }
+    
+    return bathymetry;
+}
+
+/**
+ * Blend two colours
+ * @param {number} from - Colour at t = 0
+ * @param {number} to - Colour at t = 1
+ * @param {number} t - Blend from 0 to 1
+ * @returns {number} - Colour
+ */
+function mixColors(from, to, t) {
+    const channel = (shift) => {
+        const a = (from >> shift) & 0xFF;
+        const b = (to >> shift) & 0xFF;
+        return Math.round(a + (b - a) * t) << shift;
+    };
+    
+    return channel(16) | channel(8) | channel(0);
+}
@@ -1,23 +1,35 @@
 // boat.js - Enhanced with realistic water movement, buoyancy and particles
 
 import { AssetCache } from './assetLoader.js';
+import { getSceneLayers, screenToWorld } from './renderer.js';
 import { PulseSignal } from './signal.js';
+import { solvePosition, getErrorEllipse, gaussianNoise, createFixOverlay } from './trilateration.js';
+import { keyingToMorse, decodeMorse } from './lightCharacteristic.js';
+import { createCourseIndicator } from './steering.js';
+import { createArcLengthSpline } from './spline.js';
+import { createWakeTrail, createTrackHistory } from './track.js';
+import { createEmitter } from './particles.js';
+import { formatBearing, formatLatLon } from './geo.js';
 
 /**
  * Creates a boat with realistic physics, water particles and interactions
  * @param {Object} state - Global application state
+ * @param {Object} vessel - Vessel definition from the fleet config (overrides the boat defaults)
  * @returns {Object} - Boat object
  */
-export function createBoat(state) {
-    const { app, layers } = state;
-    const { width, height } = app.screen;
-    const config = state.config.boat;
+export function createBoat(state, vessel) {
+    const { app, layers, layout } = state;
+    const { width, height } = layout;
+    const config = { ...state.config.boat, ...vessel };
     
-    // Create boat container
+    // Waypoints may be real coordinates; the boat keeps them as map fractions
+    config.pathPoints = config.pathPoints.map(point => state.geo.toFraction(point));
+    
+    // Create boat container at the start of its path
     const container = new PIXI.Container();
     container.position.set(
-        width * config.startPosition.x,
-        height * config.startPosition.y
+        width * config.pathPoints[0].x,
+        height * config.pathPoints[0].y
     );
     container.interactive = true;
     container.cursor = 'pointer';
@@ -33,13 +45,16 @@ export function createBoat(state) {
         boatSprite.anchor.set(0.5, 0.75);
         
         // Scale to appropriate size relative to screen
-        const baseWidth = width * 0.08; // 8% of screen width
+        const baseWidth = width * config.size;
         const scale = baseWidth / boatSprite.width;
         boatSprite.scale.set(scale);
+        
+        // Tell vessels apart by hull colour
+        boatSprite.tint = config.tint;
     } catch (err) {
         console.error('Error loading boat texture:', err);
         // Fallback to a simple boat shape
-        boatSprite = createSimpleBoat(width, height);
+        boatSprite = createSimpleBoat(width * config.size);
     }
     
     // Create receiver halo for signal reception
@@ -49,20 +64,15 @@ export function createBoat(state) {
     receiverHalo.endFill();
     receiverHalo.visible = false; // Hide initially
     
-    // Create wake effect behind boat
-    const wake = new PIXI.Graphics();
-    wake.beginFill(0xFFFFFF, 0.5);
-    wake.drawPolygon([
-        -25, 0,
-        -40, 10,
-        -35, 0,
-        -40, -10
-    ]);
-    wake.endFill();
-    wake.alpha = 0.4;
-    
-    // Create water particles container
-    const particlesContainer = new PIXI.Container();
+    // Wake trail on the water behind the boat
+    const wake = createWakeTrail(layers.water, config.wake);
+    
+    // Recorded track, shown as a dotted line when tracks are switched on
+    const track = createTrackHistory(layers.effects, config.track, state.geo, config.tint);
+    track.setVisible(!!state.trackControls && state.trackControls.visible);
+    
+    // Bow spray, thrown off either side as the hull pushes through the water
+    const spray = createEmitter(app, layers.water, config.spray);
     
     // Create shadow under boat
     const shadow = new PIXI.Graphics();
@@ -71,157 +81,496 @@ export function createBoat(state) {
     shadow.endFill();
     
     // Add everything to the container
-    container.addChild(shadow, wake, boatSprite, receiverHalo, particlesContainer);
+    container.addChild(shadow, boatSprite, receiverHalo);
     
     // Add to entities layer
     layers.entities.addChild(container);
     
+    // Map overlay for the receiver's trilaterated position fix
+    const fixOverlay = createFixOverlay(layers.effects);
+    
+    // Marker shown while the vessel alters course for traffic or land
+    const courseIndicator = createCourseIndicator(layers.effects);
+    
+    // Planned route to an ordered destination
+    const routeLine = new PIXI.Graphics();
+    layers.effects.addChild(routeLine);
+    
+    // Warning shown under the boat as it nears grounding depth
+    const depthWarning = new PIXI.Text('', {
+        fontFamily: 'Arial',
+        fontSize: 10,
+        fill: 0xFF5555,
+        stroke: 0x000000,
+        strokeThickness: 3
+    });
+    depthWarning.anchor.set(0.5, 0);
+    depthWarning.visible = false;
+    layers.effects.addChild(depthWarning);
+    
     // Set up physics properties
     const physics = {
         velocity: { x: 0, y: 0 },
         acceleration: { x: 0, y: 0 },
-        // Original position to track buoyancy
-        originalY: container.y,
+        // Rudder angle (-1 port to 1 starboard) and resulting turn rate
+        rudder: 0,
+        angularVelocity: 0,
+        // Water current carrying the boat, in pixels per frame
+        current: {
+            x: Math.cos(state.config.map.water.currentDirection) * state.config.map.water.currentSpeed,
+            y: Math.sin(state.config.map.water.currentDirection) * state.config.map.water.currentSpeed
+        },
         // Buoyancy properties
-        buoyancyAmplitude: height * 0.005, // 0.5% of screen height
+        buoyancyAmplitude: height * 0.005, // 0.5% of the world height
         buoyancyFrequency: 0.02,
         buoyancyPhase: Math.random() * Math.PI * 2, // Random starting phase
         // Boat physics from config
         mass: config.physics.mass,
         buoyancy: config.physics.buoyancy,
-        dragCoefficient: config.physics.dragCoefficient
+        dragCoefficient: config.physics.dragCoefficient,
+        lateralDrag: config.physics.lateralDrag,
+        windage: config.physics.windage,
+        rudderRate: config.physics.rudderRate
     };
     
-    // Set up path following
+    // Set up path following along a curve through the patrol points
+    const following = config.pathFollowing;
     const path = {
         points: config.pathPoints.map(p => ({
             x: width * p.x,
             y: height * p.y
         })),
-        currentPointIndex: 0,
+        // 'loop' back to the start, or 'pingPong' back and forth along the route
+        mode: config.routeMode,
+        spline: null,
+        // Distance along the curve and direction of travel (-1 on the way back when ping-ponging)
+        distance: 0,
+        direction: 1,
+        // Tracking the curve, rather than making for it first
+        onSpline: false,
+        // Waypoints around land to the current goal (planned on demand)
+        route: null,
+        // Destination ordered by clicking on the water, overrides the patrol
+        order: null,
         speed: config.speed,
         // For smooth rotation
         targetRotation: 0,
         rotationSpeed: config.rotationSpeed
     };
     
-    // Initialize particles
-    const particles = [];
-    const MAX_PARTICLES = 20;
-    
     // Create boat object
     const boat = {
         container,
         boatSprite,
         wake,
+        track,
         receiverHalo,
         physics,
         path,
-        particlesContainer,
-        particles,
-        name: "Research Vessel",
+        spray,
+        fixOverlay,
+        courseIndicator,
+        routeLine,
+        steering: null,
+        // Helm commands: rudder -1 (port) to 1 (starboard), throttle astern (negative) to 1
+        helm: {
+            rudder: 0,
+            throttle: 0
+        },
+        // Steered by hand through the helm instead of the autopilot
+        manual: false,
+        // Held while the detail view carries the hull to the centre of the screen and back
+        inDetailView: false,
+        name: config.name || "Research Vessel",
+        description: config.description || '',
         isReceivingSignal: false,
         signalTimer: 0,
+        // Receiver state: latest arrival per lighthouse
+        receiver: {
+            lastArrivals: {},
+            lastSignal: null,
+            totalReceived: 0,
+            decodedIds: {},
+            fix: null
+        },
         pulseTimer: 0,
         activePulses: [],
-        lastParticleTime: 0,
+        // Fractional spray particles carried between frames
+        sprayCarry: 0,
+        // Water under the hull: depth and clearance in metres, the speed shallow water leaves us
+        depth: {
+            metres: null,
+            clearance: null,
+            speedFactor: 1,
+            warning: false
+        },
         
         /**
          * Update boat movement and effects
          * @param {number} delta - Time elapsed
          */
         update(delta) {
+            // Hold still in the detail view, so the track and wake don't pick up the trip
+            if (this.inDetailView) return;
+            
             // Update path following
             this.followPath(delta);
             
+            // Sound the water under the hull
+            this.updateDepth();
+            
             // Apply physics and buoyancy
             this.applyPhysics(delta);
             
             // Update wake effect
             this.updateWake(delta);
             
-            // Update water particles
-            this.updateWaterParticles(delta);
+            // Record the track
+            this.track.record(this.container, state.time);
+            this.track.draw();
+            
+            // Update bow spray
+            this.updateSpray(delta);
             
             // Update signal reception effects
             this.updateSignalEffects(delta);
+            
+            // Draw the latest position fix against where we really are (selected vessel only)
+            const showFix = !!state.entities.fleet && state.entities.fleet.selected === this;
+            this.fixOverlay.container.visible = showFix;
+            if (showFix) {
+                this.fixOverlay.draw(this.receiver.fix, this.getReceiverPosition());
+            }
+            
+            this.drawRoute(showFix);
+        },
+        
+        /**
+         * Draw the route to an ordered destination
+         * @param {boolean} visible - Whether the route should be shown
+         */
+        drawRoute(visible) {
+            routeLine.clear();
+            if (!visible || !this.path.order || !this.path.route) return;
+            
+            routeLine.lineStyle(1, 0xFFFFFF, 0.6);
+            routeLine.moveTo(this.container.x, this.container.y);
+            this.path.route.forEach(point => routeLine.lineTo(point.x, point.y));
+            
+            // Destination marker
+            const { x, y } = this.path.order;
+            routeLine.lineStyle(1, 0xFFFFFF, 0.9);
+            routeLine.drawCircle(x, y, 5);
+            routeLine.moveTo(x - 3, y - 3);
+            routeLine.lineTo(x + 3, y + 3);
+            routeLine.moveTo(x + 3, y - 3);
+            routeLine.lineTo(x - 3, y + 3);
+        },
+        
+        /**
+         * Order the boat to a point on the water; it rejoins its patrol afterwards
+         * @param {Object} point - {x, y} destination in map coordinates
+         * @returns {boolean} - False if no route reaches the point
+         */
+        goTo(point) {
+            const route = state.navigation ? state.navigation.findPath(this.container, point) : [point];
+            if (!route) return false;
+            
+            this.path.order = { x: point.x, y: point.y };
+            this.path.route = route;
+            return true;
+        },
+        
+        /**
+         * Switch between manual steering and the autopilot. Any order is dropped;
+         * the autopilot rejoins the patrol where it passes closest
+         * @param {boolean} manual - True to steer by hand
+         */
+        setManual(manual) {
+            if (this.manual === manual) return;
+            this.manual = manual;
+            this.path.order = null;
+            this.path.route = null;
+            
+            if (manual) {
+                this.steering = null;
+                this.courseIndicator.update(this, null);
+            } else {
+                this.path.onSpline = false;
+            }
+        },
+        
+        /**
+         * Get the patrol route as fractions of the map size
+         * @returns {Array} - [{x, y}] waypoints
+         */
+        getPathPoints() {
+            return config.pathPoints.map(p => ({ x: p.x, y: p.y }));
+        },
+        
+        /**
+         * Get how the patrol route is sailed
+         * @returns {string} - 'loop' or 'pingPong'
+         */
+        getRouteMode() {
+            return config.routeMode;
+        },
+        
+        /**
+         * Replace the patrol route; the boat rejoins it where it passes closest
+         * @param {Array} pathPoints - [{x, y}] waypoints as fractions of the map size
+         * @param {string} routeMode - 'loop' or 'pingPong' (defaults to the current mode)
+         */
+        setPathPoints(pathPoints, routeMode = config.routeMode) {
+            config.pathPoints = pathPoints.map(p => ({ x: p.x, y: p.y }));
+            config.routeMode = routeMode;
+            this.path.mode = routeMode;
+            this.path.points = config.pathPoints.map(p => ({
+                x: width * p.x,
+                y: height * p.y
+            }));
+            this.rebuildSpline();
+            
+            // Keep any order, but replan the patrol
+            if (!this.path.order) {
+                this.path.route = null;
+            }
+            this.path.onSpline = false;
         },
         
         /**
-         * Follow the predefined path with smooth rotation
+         * Rebuild the curve through the patrol points
+         */
+        rebuildSpline() {
+            this.path.spline = createArcLengthSpline(
+                this.path.points,
+                this.path.mode === 'loop',
+                following.samplesPerLeg
+            );
+            this.path.direction = 1;
+        },
+        
+        /**
+         * Steer for the autopilot: to an ordered destination or back to the patrol
+         * around land, otherwise along the patrol curve
          * @param {number} delta - Time elapsed
          */
         followPath(delta) {
-            // Get current target point
-            const targetPoint = this.path.points[this.path.currentPointIndex];
+            // The helm is set by hand in manual mode
+            if (this.manual) return;
+            
+            const course = this.path.order || !this.path.onSpline
+                ? this.followRoute()
+                : this.followSpline();
+            if (!course) return;
+            
+            // Calculate course to steer, adjusted for traffic and the coastline
+            let dirX = course.x;
+            let dirY = course.y;
+            let speedFactor = 1;
             
-            // Calculate direction to target
+            if (state.steering) {
+                this.steering = state.steering.steer(this, { x: dirX, y: dirY }, delta);
+                dirX = this.steering.direction.x;
+                dirY = this.steering.direction.y;
+                speedFactor = this.steering.speedFactor;
+            }
+            this.courseIndicator.update(this, this.steering);
+            
+            // Autopilot: put the rudder over in proportion to the heading error
+            this.path.targetRotation = Math.atan2(dirY, dirX);
+            let headingError = this.path.targetRotation - this.container.rotation;
+            
+            // Normalize angle difference (-PI to PI)
+            while (headingError > Math.PI) headingError -= Math.PI * 2;
+            while (headingError < -Math.PI) headingError += Math.PI * 2;
+            
+            this.helm.rudder = Math.max(-1, Math.min(1, headingError * config.physics.rudderGain));
+            
+            // Ease off the throttle for sharp turns so the boat doesn't circle its target
+            const turnFactor = (1 + Math.cos(headingError)) / 2;
+            this.helm.throttle = speedFactor * Math.max(0.02, turnFactor * turnFactor);
+        },
+        
+        /**
+         * Head along the planned route to an ordered destination, or to where the
+         * patrol curve passes closest
+         * @returns {Object|null} - Unit course {x, y}, or null on reaching a waypoint
+         */
+        followRoute() {
+            const spline = this.path.spline;
+            
+            if (!this.path.order && !this.path.route) {
+                // Rejoin where the curve passes closest - straight away if already on it
+                this.path.distance = spline.closestDistance(this.container);
+                const join = spline.pointAt(this.path.distance);
+                const joinDistance = Math.sqrt(
+                    Math.pow(join.x - this.container.x, 2) +
+                    Math.pow(join.y - this.container.y, 2)
+                );
+                if (joinDistance < following.joinDistance) {
+                    this.path.onSpline = true;
+                    return this.followSpline();
+                }
+            }
+            
+            // Plan a route around land to the goal
+            const goal = this.path.order || spline.pointAt(this.path.distance);
+            if (!this.path.route) {
+                this.path.route = (state.navigation && state.navigation.findPath(this.container, goal)) || [goal];
+            }
+            
+            // Calculate direction to the next waypoint
+            const targetPoint = this.path.route[0];
             const dx = targetPoint.x - this.container.x;
             const dy = targetPoint.y - this.container.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
-            // If we're close enough to the target, move to next point
-            if (distance < 3) {
-                this.path.currentPointIndex = (this.path.currentPointIndex + 1) % this.path.points.length;
-                return;
+            // If we're close enough, move on to the next waypoint
+            if (distance < config.arrivalRadius) {
+                this.path.route.shift();
+                
+                if (this.path.route.length === 0) {
+                    this.path.route = null;
+                    
+                    if (this.path.order) {
+                        // Arrived - rejoin the patrol where it is closest
+                        this.path.order = null;
+                    } else {
+                        this.path.onSpline = true;
+                    }
+                }
+                return null;
             }
             
-            // Calculate movement direction
-            const dirX = dx / distance;
-            const dirY = dy / distance;
+            return { x: dx / distance, y: dy / distance };
+        },
+        
+        /**
+         * Track the patrol curve: steer along its tangent (looking a little ahead),
+         * corrected towards the curve in proportion to how far off it the boat is
+         * @returns {Object|null} - Unit course {x, y}, or null if the boat must rejoin
+         */
+        followSpline() {
+            const spline = this.path.spline;
             
-            // Move the boat very slowly for realistic effect
-            this.container.x += dirX * this.path.speed * delta;
-            this.container.y += dirY * this.path.speed * delta;
+            // Progress is the closest point on the curve, searched near the last one
+            // so routes that cross themselves aren't skipped along
+            this.path.distance = spline.closestDistance(this.container, this.path.distance, following.searchRange);
             
-            // Update physics velocity (for wake effect)
-            this.physics.velocity.x = dirX * this.path.speed;
-            this.physics.velocity.y = dirY * this.path.speed;
+            // Ping-pong: turn back at either end
+            if (this.path.mode === 'pingPong') {
+                if (this.path.direction > 0 && this.path.distance >= spline.length - config.arrivalRadius) {
+                    this.path.direction = -1;
+                } else if (this.path.direction < 0 && this.path.distance <= config.arrivalRadius) {
+                    this.path.direction = 1;
+                }
+            }
             
-            // Calculate target rotation (in radians)
-            this.path.targetRotation = Math.atan2(dirY, dirX);
+            const direction = this.path.direction;
+            const point = spline.pointAt(this.path.distance);
+            const tangent = spline.tangentAt(this.path.distance + direction * following.lookAhead);
+            const tangentX = tangent.x * direction;
+            const tangentY = tangent.y * direction;
             
-            // Smooth rotation with easing
-            let rotationDifference = this.path.targetRotation - this.container.rotation;
+            // Signed distance off the curve, positive to starboard
+            const crossTrack = tangentX * (this.container.y - point.y) - tangentY * (this.container.x - point.x);
             
-            // Normalize angle difference (-PI to PI)
-            while (rotationDifference > Math.PI) rotationDifference -= Math.PI * 2;
-            while (rotationDifference < -Math.PI) rotationDifference += Math.PI * 2;
+            // Pushed well off the curve (giving way or avoiding land) - route back to it
+            if (Math.abs(crossTrack) > following.leaveDistance) {
+                this.path.onSpline = false;
+                return null;
+            }
             
-            // Apply rotation with smooth easing
-            this.container.rotation += rotationDifference * this.path.rotationSpeed * delta;
+            const heading = Math.atan2(tangentY, tangentX) - Math.atan(following.crossTrackGain * crossTrack);
+            return { x: Math.cos(heading), y: Math.sin(heading) };
         },
         
         /**
-         * Apply realistic physics including buoyancy
+         * Integrate thrust, wind, current and drag into the boat's motion,
+         * turning through the rudder, and bob the hull on the waves
          * @param {number} delta - Time elapsed
          */
         applyPhysics(delta) {
-            // Update time-based buoyancy effect
-            const time = state.time * this.physics.buoyancyFrequency + this.physics.buoyancyPhase;
+            const physics = this.physics;
+            const heading = this.container.rotation;
+            const forwardX = Math.cos(heading);
+            const forwardY = Math.sin(heading);
             
-            // Realistic buoyancy - combination of two sine waves for more natural motion
-            const buoyancyOffset = 
-                Math.sin(time) * this.physics.buoyancyAmplitude + 
-                Math.sin(time * 1.5) * this.physics.buoyancyAmplitude * 0.3;
+            // Velocity through the water (the current carries the boat along with it)
+            const waterX = physics.velocity.x - physics.current.x;
+            const waterY = physics.velocity.y - physics.current.y;
+            const surge = waterX * forwardX + waterY * forwardY;
+            const sway = -waterX * forwardY + waterY * forwardX;
             
-            // Apply buoyancy to Y position
-            this.container.y = this.physics.originalY + buoyancyOffset;
+            // Thrust along the heading; full throttle balances drag at the configured speed,
+            // or at that speed times the shallow-water factor
+            const thrust = this.helm.throttle * physics.dragCoefficient *
+                Math.pow(config.speed * this.depth.speedFactor, 2);
+            let forceX = forwardX * thrust;
+            let forceY = forwardY * thrust;
             
-            // Slight tilt with buoyancy (subtle roll)
-            const tiltAmount = Math.sin(time * 1.2) * 0.03;
-            this.boatSprite.rotation = tiltAmount;
+            // Quadratic drag, much stronger sideways where the hull resists slipping
+            const surgeDrag = -physics.dragCoefficient * surge * Math.abs(surge);
+            const swayDrag = -physics.dragCoefficient * physics.lateralDrag * sway * Math.abs(sway);
+            forceX += forwardX * surgeDrag - forwardY * swayDrag;
+            forceY += forwardY * surgeDrag + forwardX * swayDrag;
             
-            // Apply wind effects if there's wind
+            // Wind pushes on the superstructure
             if (state.weather && state.weather.windIntensity > 0) {
-                const windForce = {
-                    x: Math.cos(state.weather.windDirection) * state.weather.windIntensity * 0.01,
-                    y: Math.sin(state.weather.windDirection) * state.weather.windIntensity * 0.01
-                };
-                
-                this.container.x += windForce.x * delta;
-                this.container.y += windForce.y * delta;
+                forceX += Math.cos(state.weather.windDirection) * state.weather.windIntensity * physics.windage;
+                forceY += Math.sin(state.weather.windDirection) * state.weather.windIntensity * physics.windage;
+            }
+            
+            // F = ma
+            physics.acceleration.x = forceX / physics.mass;
+            physics.acceleration.y = forceY / physics.mass;
+            physics.velocity.x += physics.acceleration.x * delta;
+            physics.velocity.y += physics.acceleration.y * delta;
+            
+            // Never let wind, current or thrust carry the boat onto land. Tested against
+            // the land itself, not the planning grid's clearance band, and the motion
+            // slides along the shore so the autopilot can still steer back out.
+            const map = state.entities.map;
+            const onLand = (x, y) => !!map && map.isLand(x, y);
+            const { x, y } = this.container;
+            const stepX = physics.velocity.x * delta;
+            const stepY = physics.velocity.y * delta;
+            if (!onLand(x + stepX, y + stepY)) {
+                this.container.x = x + stepX;
+                this.container.y = y + stepY;
+            } else if (!onLand(x + stepX, y)) {
+                this.container.x = x + stepX;
+                physics.velocity.y = 0;
+            } else if (!onLand(x, y + stepY)) {
+                this.container.y = y + stepY;
+                physics.velocity.x = 0;
+            } else {
+                physics.velocity.x = 0;
+                physics.velocity.y = 0;
             }
+            
+            // The rudder swings towards the helm; it turns the boat with water flowing
+            // past it - from headway, or from propeller wash when the boat is slow
+            physics.rudder += (this.helm.rudder - physics.rudder) * Math.min(1, physics.rudderRate * delta);
+            const steerage = Math.max(-1, Math.min(1, surge / (config.speed * 0.25) + this.helm.throttle));
+            physics.angularVelocity = physics.rudder * steerage * this.path.rotationSpeed;
+            this.container.rotation += physics.angularVelocity * delta;
+            
+            // Update time-based buoyancy effect - stiffer buoyancy bobs faster
+            const time = state.time * physics.buoyancyFrequency * Math.sqrt(physics.buoyancy / physics.mass) + physics.buoyancyPhase;
+            
+            // Realistic buoyancy - combination of two sine waves for more natural motion
+            const buoyancyOffset = 
+                Math.sin(time) * physics.buoyancyAmplitude + 
+                Math.sin(time * 1.5) * physics.buoyancyAmplitude * 0.3;
+            
+            // Bob the hull on the sprite, leaving the boat's position to the integrator
+            this.boatSprite.y = buoyancyOffset;
+            
+            // Slight tilt with buoyancy (subtle roll), heeling into turns
+            const tiltAmount = Math.sin(time * 1.2) * 0.03 - physics.angularVelocity * 2;
+            this.boatSprite.rotation = tiltAmount;
         },
         
         /**
@@ -235,119 +584,83 @@ export function createBoat(state) {
                 Math.pow(this.physics.velocity.y, 2)
             );
             
-            // Dynamic wake width based on speed
-            const wakeWidth = 15 + speed * 20;
-            
-            // Recreate wake with dynamic size
-            this.wake.clear();
-            this.wake.beginFill(0xFFFFFF, 0.5);
-            this.wake.drawPolygon([
-                -15, 0,
-                -wakeWidth, 10,
-                -wakeWidth * 0.8, 0,
-                -wakeWidth, -10
-            ]);
-            this.wake.endFill();
-            
-            // Update wake opacity based on speed
-            this.wake.alpha = Math.min(0.6, speed * 3);
-            
-            // Position wake behind boat based on rotation
+            // The trail starts at the stern, and is stronger the faster we go
             const angle = this.container.rotation;
-            this.wake.rotation = angle - Math.PI; // Opposite direction
+            const sternDistance = this.boatSprite.width * 0.4;
+            const stern = {
+                x: this.container.x - Math.cos(angle) * sternDistance,
+                y: this.container.y - Math.sin(angle) * sternDistance
+            };
+            
+            this.wake.update(stern, speed / config.speed, delta, state.weather);
         },
         
         /**
-         * Create and update water particles around the boat
+         * Throw spray off the bow, more of it the faster we go
          * @param {number} delta - Time elapsed
          */
-        updateWaterParticles(delta) {
-            // Remove expired particles
-            for (let i = this.particles.length - 1; i >= 0; i--) {
-                const particle = this.particles[i];
+        updateSpray(delta) {
+            const settings = config.spray;
+            const speed = Math.sqrt(
+                Math.pow(this.physics.velocity.x, 2) +
+                Math.pow(this.physics.velocity.y, 2)
+            );
+            const strength = speed / config.speed;
+            
+            if (strength > settings.minStrength) {
+                this.sprayCarry += settings.rate * strength * delta;
+                const count = Math.floor(this.sprayCarry);
+                this.sprayCarry -= count;
                 
-                // Update particle lifetime
-                particle.lifetime -= delta;
+                // Half to port and half to starboard, angled back from the bow
+                const angle = this.container.rotation;
+                const bowDistance = this.boatSprite.width * 0.35;
+                const bow = {
+                    x: this.container.x + Math.cos(angle) * bowDistance,
+                    y: this.container.y + Math.sin(angle) * bowDistance
+                };
                 
-                if (particle.lifetime <= 0) {
-                    // Remove particle
-                    this.particlesContainer.removeChild(particle.sprite);
-                    this.particles.splice(i, 1);
-                } else {
-                    // Update particle position
-                    particle.sprite.x += particle.velocity.x * delta;
-                    particle.sprite.y += particle.velocity.y * delta;
-                    
-                    // Update alpha for fadeout
-                    particle.sprite.alpha = particle.lifetime / particle.maxLifetime;
-                    
-                    // Update scale for shrinking effect
-                    const scale = particle.sprite.scale.x - (0.01 * delta);
-                    particle.sprite.scale.set(Math.max(0.1, scale));
+                for (let i = 0; i < count; i++) {
+                    const side = i % 2 === 0 ? 1 : -1;
+                    const outward = angle + side * settings.sideAngle;
+                    this.spray.emit(1, bow.x, bow.y, {
+                        angle: [outward - settings.angleJitter, outward + settings.angleJitter],
+                        speed: [settings.speed[0] * strength, settings.speed[1] * strength],
+                        rotation: angle
+                    });
                 }
             }
             
-            // Create new particles periodically
-            this.lastParticleTime -= delta;
-            
-            if (this.lastParticleTime <= 0 && this.particles.length < MAX_PARTICLES) {
-                // Reset timer (random interval)
-                this.lastParticleTime = 5 + Math.random() * 5;
-                
-                // Create new particle
-                this.createWaterParticle();
-            }
+            this.spray.update(delta);
         },
         
         /**
-         * Create a new water particle
+         * Read the depth under the hull: shallow water slows the boat (the hull
+         * squats and drags), and a warning shows as it nears grounding depth
          */
-        createWaterParticle() {
-            // Create particle graphic
-            const particleGraphic = new PIXI.Graphics();
-            
-            // Create water splash/bubble
-            const size = 3 + Math.random() * 5;
-            const blueShade = Math.floor(Math.random() * 3);
-            
-            // Different blue colors for variety
-            const colors = [0x3A8ED4, 0x4682B4, 0x1E90FF];
-            
-            particleGraphic.beginFill(colors[blueShade], 0.6);
-            particleGraphic.drawCircle(0, 0, size);
-            particleGraphic.endFill();
-            
-            // Convert to sprite for better performance
-            const texture = app.renderer.generateTexture(particleGraphic);
-            const sprite = new PIXI.Sprite(texture);
-            
-            // Center anchor
-            sprite.anchor.set(0.5);
-            
-            // Random position around boat
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 5 + Math.random() * 15;
-            
-            sprite.x = Math.cos(angle) * distance;
-            sprite.y = Math.sin(angle) * distance;
-            
-            // Random velocity (slower than the boat)
-            const speed = 0.1 + Math.random() * 0.2;
-            const velocityAngle = this.container.rotation - Math.PI + (Math.random() - 0.5);
-            
-            const particle = {
-                sprite,
-                velocity: {
-                    x: Math.cos(velocityAngle) * speed,
-                    y: Math.sin(velocityAngle) * speed
-                },
-                lifetime: 30 + Math.random() * 60, // Random lifetime
-                maxLifetime: 30 + Math.random() * 60
-            };
+        updateDepth() {
+            const depth = this.depth;
+            if (!state.bathymetry) return;
+            
+            const settings = config.depth;
+            depth.metres = state.bathymetry.depthAt(this.container.x, this.container.y);
+            depth.clearance = depth.metres - settings.draft;
+            
+            // Full speed beyond shallowRatio drafts of water, down to minSpeedFactor at one draft
+            const ratio = (depth.metres / settings.draft - 1) / (settings.shallowRatio - 1);
+            depth.speedFactor = settings.minSpeedFactor + (1 - settings.minSpeedFactor) * Math.max(0, Math.min(1, ratio));
+            depth.warning = depth.clearance < settings.warningClearance;
             
-            // Add to container
-            this.particlesContainer.addChild(sprite);
-            this.particles.push(particle);
+            depthWarning.visible = depth.warning;
+            if (depth.warning) {
+                depthWarning.text = depth.clearance > 0 ?
+                    `Shoal water: ${depth.clearance.toFixed(1)} m under keel` :
+                    'Aground!';
+                depthWarning.position.set(this.container.x, this.container.y + 16);
+                
+                // Blink
+                depthWarning.alpha = 0.6 + 0.4 * Math.sin(state.time * 0.15);
+            }
         },
         
         /**
@@ -359,15 +672,16 @@ export function createBoat(state) {
             if (this.isReceivingSignal) {
                 this.signalTimer += delta;
                 
-                // Pulse the receiver halo
+                // Pulse the receiver halo, dimmer for weak signals
+                const strength = this.receiver.lastSignal ? this.receiver.lastSignal.strength : 1;
                 this.receiverHalo.visible = true;
-                this.receiverHalo.alpha = 0.5 + Math.sin(this.signalTimer * 0.2) * 0.3;
+                this.receiverHalo.alpha = (0.5 + Math.sin(this.signalTimer * 0.2) * 0.3) * (0.4 + strength * 0.6);
                 
                 // Create periodic pulse effect
                 this.pulseTimer += delta;
                 if (this.pulseTimer > 30) {
                     this.pulseTimer = 0;
-                    this.createSignalPulse();
+                    this.createSignalPulse(this.receiverHalo.tint);
                 }
                 
                 // Reset after some time without signals
@@ -390,50 +704,126 @@ export function createBoat(state) {
         
         /**
          * Create a pulse effect around the boat
+         * @param {number} color - Pulse color
          */
-        createSignalPulse() {
-            const pulse = new PulseSignal(0, 0, 0xFFFFFF, 60);
+        createSignalPulse(color = 0xFFFFFF) {
+            const pulse = new PulseSignal(0, 0, color, 60);
             this.container.addChild(pulse.container);
             this.activePulses.push(pulse);
         },
         
+        /**
+         * Get the position of the receiver antenna in map coordinates
+         * @returns {Object} - {x, y} of the receiver
+         */
+        getReceiverPosition() {
+            // The halo sits 20px "up" in boat space, so follow the hull's rotation
+            const rotation = this.container.rotation;
+            return {
+                x: this.container.x + Math.sin(rotation) * 20,
+                y: this.container.y - Math.cos(rotation) * 20
+            };
+        },
+        
         /**
          * Handle receiving a signal
+         * @param {Object} arrival - Arrival info (source, color, emittedAt, timestamp)
          */
-        receiveSignal() {
+        receiveSignal(arrival) {
             this.isReceivingSignal = true;
             this.signalTimer = 0;
             
+            // Measure time of flight with receiver clock jitter and turn it into a range
+            const timeOfFlight = arrival.timestamp - arrival.emittedAt + gaussianNoise(config.receiver.timingNoise);
+            const measurement = {
+                ...arrival,
+                measuredRange: timeOfFlight * state.propagation.speed
+            };
+            
+            // Demodulate the Morse identifier carried by the signal
+            if (arrival.payload && arrival.payload.keying) {
+                measurement.decodedId = decodeMorse(keyingToMorse(arrival.payload.keying));
+                this.receiver.decodedIds[arrival.source] = measurement.decodedId;
+            }
+            
+            // Record the arrival so the receiver knows who it last heard from
+            this.receiver.lastArrivals[arrival.source] = measurement;
+            this.receiver.lastSignal = measurement;
+            this.receiver.totalReceived++;
+            
+            // Re-solve the position with the new range
+            this.updateFix();
+            
+            // Tint the halo with the colour of the last lighthouse heard
+            this.receiverHalo.tint = arrival.color;
+            
             // Create immediate pulse effect
-            this.createSignalPulse();
+            this.createSignalPulse(arrival.color);
         },
         
         /**
-         * Handle resize event
-         * @param {number} width - New width
-         * @param {number} height - New height 
+         * Trilaterate the boat position from the most recent arrival of each lighthouse
          */
-        resize(width, height) {
-            // Update path points
-            this.path.points = config.pathPoints.map(p => ({
-                x: width * p.x,
-                y: height * p.y
-            }));
+        updateFix() {
+            // Only use ranges recent enough to describe where the boat is now
+            const measurements = Object.values(this.receiver.lastArrivals)
+                .filter(a => state.time - a.timestamp <= config.receiver.maxArrivalAge)
+                .map(a => ({
+                    x: a.sourcePosition.x,
+                    y: a.sourcePosition.y,
+                    range: a.measuredRange,
+                    color: a.color
+                }));
             
-            // Update physics values
-            this.physics.originalY = this.path.points[this.path.currentPointIndex].y;
-            this.physics.buoyancyAmplitude = height * 0.005;
+            // Start from the previous fix, or the known departure point, so the solver
+            // settles on the seaward solution rather than its mirror image inland
+            const initialGuess = this.receiver.fix || {
+                x: width * config.pathPoints[0].x,
+                y: height * config.pathPoints[0].y
+            };
             
-            // Rescale boat if needed
-            const baseWidth = width * 0.08;
-            const scale = baseWidth / this.boatSprite.width;
-            this.boatSprite.scale.set(scale);
+            const rangeSigma = config.receiver.timingNoise * state.propagation.speed;
+            const solution = solvePosition(measurements, initialGuess, rangeSigma);
             
-            // Update shadow
-            shadow.clear();
-            shadow.beginFill(0x000000, 0.3);
-            shadow.drawEllipse(0, 5, this.boatSprite.width * 0.4 * scale, this.boatSprite.height * 0.1 * scale);
-            shadow.endFill();
+            if (!solution) {
+                this.receiver.fix = null;
+                return;
+            }
+            
+            const truePosition = this.getReceiverPosition();
+            
+            this.receiver.fix = {
+                x: solution.x,
+                y: solution.y,
+                ellipse: getErrorEllipse(solution.covariance),
+                error: Math.sqrt(
+                    Math.pow(solution.x - truePosition.x, 2) + 
+                    Math.pow(solution.y - truePosition.y, 2)
+                ),
+                measurements,
+                timestamp: state.time
+            };
+        },
+        
+        /**
+         * Remove the boat and its overlays from the scene
+         */
+        destroy() {
+            this.activePulses.forEach(pulse => pulse.destroy());
+            this.activePulses = [];
+            
+            this.fixOverlay.destroy();
+            this.courseIndicator.destroy();
+            this.wake.destroy();
+            this.spray.destroy();
+            this.track.destroy();
+            routeLine.destroy();
+            depthWarning.destroy();
+            
+            if (container.parent) {
+                container.parent.removeChild(container);
+            }
+            container.destroy({ children: true });
         },
         
         /**
@@ -503,8 +893,49 @@ export function createBoat(state) {
                 schematic.addChild(component, label);
             });
             
+            // Add the latest trilateration result
+            const fix = this.receiver.fix;
+            const fixStatus = new PIXI.Text(fix
+                ? `Position fix: ${fix.measurements.length} stations, error ${state.geo.pixelsToNm(fix.error).toFixed(2)} nm (95%: ±${state.geo.pixelsToNm(fix.ellipse.major).toFixed(2)} nm)`
+                : 'Position fix: waiting for 3 lighthouses', {
+                fontFamily: 'Arial',
+                fontSize: 11,
+                fill: 0xFFFF00,
+                align: 'center'
+            });
+            fixStatus.anchor.set(0.5, 0);
+            fixStatus.position.set(0, 80);
+            
+            // List the lighthouse identifiers decoded so far
+            const decoded = Object.values(this.receiver.decodedIds);
+            const decodedText = new PIXI.Text(`Decoded IDs: ${decoded.length ? decoded.join('  ') : 'none yet'}`, {
+                fontFamily: 'Arial',
+                fontSize: 11,
+                fill: 0xFFFFFF
+            });
+            decodedText.anchor.set(0.5, 0);
+            decodedText.position.set(0, -100);
+            
+            // Where we are, and the bearing and range of each lighthouse from here
+            const lighthouses = state.entities.lighthouses || [];
+            const bearings = lighthouses.map(lighthouse => {
+                const id = lighthouse.morseId || lighthouse.name;
+                const bearing = state.geo.bearingTrue(this.container, lighthouse.container);
+                const range = state.geo.distanceNm(this.container, lighthouse.container);
+                return `${id} ${formatBearing(bearing)} ${range.toFixed(1)} nm`;
+            });
+            const positionText = new PIXI.Text(
+                `${formatLatLon(state.geo.toLatLon(this.container))}\n${bearings.join('   ')}`, {
+                fontFamily: 'Arial',
+                fontSize: 11,
+                fill: 0xFFFFFF,
+                align: 'center'
+            });
+            positionText.anchor.set(0.5, 0);
+            positionText.position.set(0, -84);
+            
             // Add description text
-            const description = new PIXI.Text('This research vessel contains a signal receiver system\nthat processes timing signals from coastal lighthouses.', {
+            const description = new PIXI.Text(this.description, {
                 fontFamily: 'Arial',
                 fontSize: 12,
                 fill: 0xFFFFFF,
@@ -514,15 +945,20 @@ export function createBoat(state) {
             description.position.set(0, 100);
             
             // Combine all elements
-            detailContainer.addChild(bg, title, receiver, receiverLabel, schematic, description);
+            detailContainer.addChild(bg, title, receiver, receiverLabel, schematic, fixStatus, decodedText, positionText, description);
             
             return detailContainer;
         }
     };
     
+    boat.rebuildSpline();
+    
     // Set up click handler for zoom
     container.on('pointerdown', () => {
         if (!state.isZoomed) {
+            if (state.entities.fleet) {
+                state.entities.fleet.select(boat);
+            }
             zoomToBoat(boat, state);
         }
     });
@@ -532,15 +968,13 @@ export function createBoat(state) {
 
 /**
  * Creates a simple boat shape as fallback
- * @param {number} width - Screen width
- * @param {number} height - Screen height
+ * @param {number} boatWidth - Hull length in pixels
  * @returns {PIXI.Container} - Boat sprite
  */
-function createSimpleBoat(width, height) {
+function createSimpleBoat(boatWidth) {
     const container = new PIXI.Container();
     
-    // Base dimensions based on screen size
-    const boatWidth = width * 0.08; // 8% of screen width
+    // Base dimensions based on hull length
     const boatHeight = boatWidth * 0.6;
     
     // Hull
@@ -609,6 +1043,7 @@ function zoomToBoat(boat, state) {
     // Set zoom state
     state.isZoomed = true;
     state.currentDetailView = boat;
+    boat.inDetailView = true;
     
     // Store original position and properties
     boat.originalPosition = {
@@ -619,7 +1054,7 @@ function zoomToBoat(boat, state) {
     };
     
     // Fade out other elements
-    state.app.stage.children.forEach(layer => {
+    getSceneLayers(state.layers).forEach(layer => {
         if (layer instanceof PIXI.Container) {
             layer.children.forEach(child => {
                 if (child !== boat.container) {
@@ -651,10 +1086,14 @@ function zoomToBoat(boat, state) {
     zoomedContainer.visible = true;
     zoomedContainer.alpha = 0;
     
-    // Zoom animation
-    gsap.to(boat.container, {
+    // Zoom animation - towards the centre of the screen, wherever the camera is
+    const target = screenToWorld({
         x: state.app.screen.width / 2,
-        y: state.app.screen.height / 2 - 50,
+        y: state.app.screen.height / 2 - 50
+    });
+    gsap.to(boat.container, {
+        x: target.x,
+        y: target.y,
         scale: 2,
         rotation: 0, // Reset rotation for easier viewing
         duration: 1
@@ -726,11 +1165,14 @@ function exitDetailView(state) {
         y: entity.originalPosition.y,
         scale: entity.originalPosition.scale,
         rotation: entity.originalPosition.rotation,
-        duration: 1
+        duration: 1,
+        onComplete: () => {
+            entity.inDetailView = false;
+        }
     });
     
     // Fade in other elements
-    state.app.stage.children.forEach(layer => {
+    getSceneLayers(state.layers).forEach(layer => {
         if (layer instanceof PIXI.Container) {
             layer.children.forEach(child => {
                 gsap.to(child, { alpha: 1, duration: 0.5 });
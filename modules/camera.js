@@ -0,0 +1,261 @@
+// camera.js - Pan and zoom camera over the world container
+
+/**
+ * Creates the camera that positions the world container on screen
+ * @param {Object} state - Global application state
+ * @returns {Object} - Camera with conversion and control methods
+ */
+export function createCamera(state) {
+    const { layers, layout } = state;
+    const config = state.config.camera;
+    const world = layers.world;
+    
+    // World bounds the view is kept inside (the map fills the view)
+    const bounds = { x: 0, y: 0, width: layout.width, height: layout.height };
+    
+    const camera = {
+        // Current view: world point at the centre of the screen and zoom factor
+        x: bounds.width / 2,
+        y: bounds.height / 2,
+        zoom: 1,
+        
+        // Eased towards each frame
+        target: {
+            x: bounds.width / 2,
+            y: bounds.height / 2,
+            zoom: 1
+        },
+        
+        bounds,
+        
+        // Whether the current (or last) press turned into a drag, so it isn't treated as a click
+        dragged: false,
+        
+        // Set while something else (e.g. a dragged waypoint) owns the pointer
+        panLocked: false,
+        
+        /**
+         * Ease the view towards its target and apply it to the world container
+         * @param {number} delta - Time elapsed
+         */
+        update(delta) {
+            const ease = Math.min(1, config.easing * delta);
+            
+            this.zoom += (this.target.zoom - this.zoom) * ease;
+            this.x += (this.target.x - this.x) * ease;
+            this.y += (this.target.y - this.y) * ease;
+            
+            this.apply();
+        },
+        
+        /**
+         * Apply the current view to the world container (in the viewport's logical units)
+         */
+        apply() {
+            world.scale.set(this.zoom);
+            world.position.set(
+                layout.width / 2 - this.x * this.zoom,
+                layout.height / 2 - this.y * this.zoom
+            );
+        },
+        
+        /**
+         * Convert a screen position to world coordinates
+         * @param {Object} position - {x, y} in screen coordinates
+         * @returns {Object} - {x, y} in world coordinates
+         */
+        screenToWorld(position) {
+            const logical = layout.toLogical(position);
+            return {
+                x: (logical.x - world.position.x) / world.scale.x,
+                y: (logical.y - world.position.y) / world.scale.y
+            };
+        },
+        
+        /**
+         * Convert a world position to screen coordinates
+         * @param {Object} position - {x, y} in world coordinates
+         * @returns {Object} - {x, y} in screen coordinates
+         */
+        worldToScreen(position) {
+            return layout.toScreen({
+                x: position.x * world.scale.x + world.position.x,
+                y: position.y * world.scale.y + world.position.y
+            });
+        },
+        
+        /**
+         * Zoom by a factor, keeping the world point under the given screen point fixed
+         * @param {number} factor - Zoom multiplier (>1 zooms in)
+         * @param {Object} screenPoint - {x, y} anchor in screen coordinates
+         */
+        zoomAt(factor, screenPoint) {
+            const newZoom = clamp(this.target.zoom * factor, config.minZoom, config.maxZoom);
+            const anchor = layout.toLogical(screenPoint);
+            
+            // World point under the anchor, using the target view so repeated zooms chain smoothly
+            const anchorX = this.target.x + (anchor.x - layout.width / 2) / this.target.zoom;
+            const anchorY = this.target.y + (anchor.y - layout.height / 2) / this.target.zoom;
+            
+            this.target.zoom = newZoom;
+            this.target.x = anchorX - (anchor.x - layout.width / 2) / newZoom;
+            this.target.y = anchorY - (anchor.y - layout.height / 2) / newZoom;
+            
+            this.clampTarget();
+        },
+        
+        /**
+         * Pan the view by a screen-space offset
+         * @param {number} dx - Horizontal offset in screen pixels
+         * @param {number} dy - Vertical offset in screen pixels
+         */
+        panBy(dx, dy) {
+            this.target.x -= dx / layout.scale / this.target.zoom;
+            this.target.y -= dy / layout.scale / this.target.zoom;
+            
+            this.clampTarget();
+        },
+        
+        /**
+         * Centre the view on a world position
+         * @param {number} x - World X
+         * @param {number} y - World Y
+         * @param {number} zoom - Optional zoom level
+         */
+        lookAt(x, y, zoom) {
+            this.target.x = x;
+            this.target.y = y;
+            if (zoom !== undefined) {
+                this.target.zoom = clamp(zoom, config.minZoom, config.maxZoom);
+            }
+            
+            this.clampTarget();
+        },
+        
+        /**
+         * Return to the full-map view
+         */
+        reset() {
+            this.lookAt(layout.width / 2, layout.height / 2, 1);
+        },
+        
+        /**
+         * Keep the target view inside the world bounds
+         */
+        clampTarget() {
+            this.target.zoom = clamp(this.target.zoom, config.minZoom, config.maxZoom);
+            
+            const halfWidth = layout.width / 2 / this.target.zoom;
+            const halfHeight = layout.height / 2 / this.target.zoom;
+            
+            // If the view is wider than the world, centre it instead
+            this.target.x = halfWidth * 2 >= bounds.width
+                ? bounds.x + bounds.width / 2
+                : clamp(this.target.x, bounds.x + halfWidth, bounds.x + bounds.width - halfWidth);
+            this.target.y = halfHeight * 2 >= bounds.height
+                ? bounds.y + bounds.height / 2
+                : clamp(this.target.y, bounds.y + halfHeight, bounds.y + bounds.height - halfHeight);
+        },
+        
+        /**
+         * Set the world bounds the camera may show
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {number} width - World width
+         * @param {number} height - World height
+         */
+        setBounds(x, y, width, height) {
+            bounds.x = x;
+            bounds.y = y;
+            bounds.width = width;
+            bounds.height = height;
+            
+            this.clampTarget();
+        }
+    };
+    
+    setupCameraInput(camera, state);
+    
+    camera.apply();
+    
+    return camera;
+}
+
+/**
+ * Sets up mouse wheel zoom and drag panning on the canvas
+ * @param {Object} camera - Camera to control
+ * @param {Object} state - Global application state
+ */
+function setupCameraInput(camera, state) {
+    const { app } = state;
+    const config = state.config.camera;
+    const view = app.view;
+    
+    // Mouse wheel zooms around the cursor
+    view.addEventListener('wheel', (e) => {
+        if (state.isZoomed) return;
+        e.preventDefault();
+        
+        const rect = view.getBoundingClientRect();
+        camera.zoomAt(Math.exp(-e.deltaY * config.wheelSensitivity), {
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top
+        });
+    }, { passive: false });
+    
+    // Drag to pan; a short threshold keeps clicks on lighthouses and boats working
+    const pointers = new Map();
+    let dragStart = null;
+    let dragging = false;
+    
+    view.addEventListener('pointerdown', (e) => {
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        dragStart = pointers.size === 1 ? { x: e.clientX, y: e.clientY } : null;
+        dragging = false;
+        camera.dragged = false;
+    });
+    
+    view.addEventListener('pointermove', (e) => {
+        const last = pointers.get(e.pointerId);
+        if (!last) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        
+        // Two fingers are a pinch, handled by the touch controls
+        if (pointers.size !== 1 || !dragStart || state.isZoomed || camera.panLocked) return;
+        
+        if (!dragging) {
+            const distance = Math.sqrt(
+                Math.pow(e.clientX - dragStart.x, 2) +
+                Math.pow(e.clientY - dragStart.y, 2)
+            );
+            if (distance < config.dragThreshold) return;
+            dragging = true;
+            camera.dragged = true;
+        }
+        
+        camera.panBy(e.clientX - last.x, e.clientY - last.y);
+    });
+    
+    const endPointer = (e) => {
+        pointers.delete(e.pointerId);
+        if (pointers.size === 0) {
+            dragStart = null;
+            dragging = false;
+        }
+    };
+    
+    view.addEventListener('pointerup', endPointer);
+    view.addEventListener('pointercancel', endPointer);
+    view.addEventListener('pointerleave', endPointer);
+}
+
+/**
+ * Clamp a value to a range
+ * @param {number} value - Value to clamp
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} - Clamped value
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,203 @@
+// clock.js - Simulation clock with pause, single-step and time scaling
+
+/**
+ * Creates the simulation clock every simulated system reads its time from
+ * @param {Object} state - Global application state
+ * @returns {Object} - Simulation clock
+ */
+export function createClock(state) {
+    const config = state.config.clock;
+    
+    const clock = {
+        // Simulated time in frames since start
+        time: 0,
+        scale: 1,
+        paused: false,
+        pendingSteps: 0,
+        
+        // Called whenever pause or scale changes (used by the on-screen control)
+        onChange: null,
+        
+        /**
+         * Advance the clock for one ticker frame, running the simulation in
+         * steps no longer than config.maxStep so fast-forward stays stable
+         * @param {number} delta - Real frames elapsed since the last tick
+         * @param {Function} stepFn - Called with each step's delta after the clock advances
+         */
+        tick(delta, stepFn) {
+            let remaining;
+            
+            if (!this.paused) {
+                remaining = delta * this.scale;
+            } else if (this.pendingSteps > 0) {
+                // Single-step: one frame at the current scale
+                this.pendingSteps--;
+                remaining = this.scale;
+            } else {
+                return;
+            }
+            
+            const steps = Math.max(1, Math.ceil(remaining / config.maxStep));
+            const step = remaining / steps;
+            
+            for (let i = 0; i < steps; i++) {
+                this.time += step;
+                stepFn(step);
+            }
+        },
+        
+        /**
+         * Pause the simulation
+         */
+        pause() {
+            if (this.paused) return;
+            this.paused = true;
+            this.notifyChange();
+        },
+        
+        /**
+         * Resume the simulation
+         */
+        resume() {
+            if (!this.paused) return;
+            this.paused = false;
+            this.pendingSteps = 0;
+            this.notifyChange();
+        },
+        
+        /**
+         * Toggle between paused and running
+         */
+        togglePause() {
+            if (this.paused) {
+                this.resume();
+            } else {
+                this.pause();
+            }
+        },
+        
+        /**
+         * Advance a paused simulation by one frame (pauses it first if running)
+         */
+        step() {
+            this.pause();
+            this.pendingSteps++;
+        },
+        
+        /**
+         * Set the time scale, clamped to the configured range
+         * @param {number} scale - Simulated frames per real frame
+         */
+        setScale(scale) {
+            this.scale = Math.max(config.minScale, Math.min(config.maxScale, scale));
+            this.notifyChange();
+        },
+        
+        /**
+         * Double the time scale
+         */
+        faster() {
+            this.setScale(this.scale * 2);
+        },
+        
+        /**
+         * Halve the time scale
+         */
+        slower() {
+            this.setScale(this.scale / 2);
+        },
+        
+        /**
+         * Let the on-screen control know the clock changed
+         */
+        notifyChange() {
+            if (this.onChange) {
+                this.onChange();
+            }
+        }
+    };
+    
+    createClockControls(clock, state);
+    
+    return clock;
+}
+
+/**
+ * Formats a time scale for display
+ * @param {number} scale - Time scale
+ * @returns {string} - Label such as "0.25x" or "4x"
+ */
+function formatScale(scale) {
+    return `${Number(scale.toFixed(2))}x`;
+}
+
+/**
+ * Creates the pause, step and speed buttons
+ * @param {Object} clock - Clock to control
+ * @param {Object} state - Global application state
+ * @returns {PIXI.Container} - Controls container
+ */
+function createClockControls(clock, state) {
+    const { app, layers } = state;
+    
+    const controls = new PIXI.Container();
+    controls.name = 'clockControls';
+    
+    // Panel background
+    const panel = new PIXI.Graphics();
+    panel.beginFill(0x000000, 0.5);
+    panel.drawRoundedRect(0, 0, 170, 30, 5);
+    panel.endFill();
+    controls.addChild(panel);
+    
+    /**
+     * Create a clickable text button
+     * @param {string} label - Initial label
+     * @param {number} x - X position in the panel
+     * @param {Function} onClick - Click handler
+     * @returns {PIXI.Text} - Button
+     */
+    const createButton = (label, x, onClick) => {
+        const button = new PIXI.Text(label, {
+            fontFamily: 'Arial',
+            fontSize: 12,
+            fill: 0xFFFFFF
+        });
+        button.position.set(x, 8);
+        button.interactive = true;
+        button.cursor = 'pointer';
+        button.on('pointerdown', onClick);
+        controls.addChild(button);
+        return button;
+    };
+    
+    const pauseButton = createButton('', 8, () => clock.togglePause());
+    createButton('Step', 52, () => clock.step());
+    createButton('-', 90, () => clock.slower());
+    const scaleLabel = createButton('', 104, () => clock.setScale(1));
+    createButton('+', 152, () => clock.faster());
+    
+    const redraw = () => {
+        pauseButton.text = clock.paused ? 'Play' : 'Pause';
+        scaleLabel.text = formatScale(clock.scale);
+        
+        // Centre the scale between the - and + buttons
+        scaleLabel.x = 125 - scaleLabel.width / 2;
+    };
+    
+    layers.ui.addChild(controls);
+    
+    // Keep in the bottom-right corner
+    const position = (width, height) => controls.position.set(width - 180, height - 40);
+    position(app.screen.width, app.screen.height);
+    
+    window.addEventListener('game-resize', (e) => {
+        position(e.detail.width, e.detail.height);
+    });
+    
+    // Refresh whenever the clock changes (also from the keyboard)
+    clock.onChange = redraw;
+    redraw();
+    
+    return controls;
+}
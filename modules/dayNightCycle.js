@@ -8,8 +8,8 @@ import { AssetCache } from './assetLoader.js';
  * @returns {Object} - Day/night system
  */
 export function initializeDayNightCycle(state) {
-    const { app, layers } = state;
-    const { width, height } = app.screen;
+    const { layers, layout } = state;
+    const { width, height } = layout;
     const config = state.config.dayNightCycle;
     
     // Create sky overlay for color transitions
@@ -36,9 +36,9 @@ export function initializeDayNightCycle(state) {
     stars.alpha = 0; // Hide stars initially
     layers.sky.addChildAt(stars, 0); // Add behind sun/moon
     
-    // Track time
+    // Track time - the cycle follows the simulation clock, shifted by setTimeOfDay
     let timeOfDay = 0; // 0 to 1 representing day cycle
-    let totalTime = 0;
+    let timeOffset = 0;
     let isDay = true;
     
     // Duration constants
@@ -54,11 +54,11 @@ export function initializeDayNightCycle(state) {
          * @param {number} delta - Time elapsed
          */
         update(delta) {
-            // Update total time
-            totalTime += delta;
+            // Read the simulation time
+            const totalTime = state.clock.time + timeOffset;
             
             // Calculate time of day (0 to 1)
-            timeOfDay = (totalTime % totalDuration) / totalDuration;
+            timeOfDay = (((totalTime % totalDuration) + totalDuration) % totalDuration) / totalDuration;
             
             // Determine if it's day or night
             const dayTransitionPoint = config.dayDuration / totalDuration;
@@ -71,14 +71,21 @@ export function initializeDayNightCycle(state) {
                 console.log(`Transitioning to ${isDay ? 'day' : 'night'}`);
             }
             
+            // Expose current values to other systems
+            this.timeOfDay = timeOfDay;
+            this.isDay = isDay;
+            
             // Update sky color
             this.updateSkyColor(timeOfDay, dayTransitionPoint);
             
             // Update sun and moon positions
             this.updateCelestialBodies(timeOfDay, width, height);
             
-            // Update star visibility
+            // Update star visibility (only visible stars need to twinkle)
             stars.alpha = isDay ? 0 : 0.8;
+            if (!isDay) {
+                updateStars(stars, delta);
+            }
             
             // Update water reflections in the map
             if (state.entities.map && state.entities.map.water) {
@@ -157,32 +164,35 @@ export function initializeDayNightCycle(state) {
             sun.alpha = sunY < height * 0.8 ? 1 : 0;
             moon.alpha = moonY < height * 0.8 ? 1 : 0;
             
-            // Update water reflection
+            // Reflect the sun and moon on the water, fading as they set
             if (state.entities.map && state.entities.map.water) {
-                // TODO: Add sun/moon reflection on water
+                const daylight = this.getDaylight();
+                state.entities.map.water.setCelestialReflections(
+                    { x: sunX, y: sunY, strength: sun.alpha * daylight },
+                    { x: moonX, y: moonY, strength: moon.alpha * (1 - daylight) }
+                );
             }
         },
         
         /**
-         * Handle resize
-         * @param {number} newWidth - New width
-         * @param {number} newHeight - New height
+         * Get how much daylight there is, easing through dawn and dusk
+         * @returns {number} - 1 in full day, 0 at night
          */
-        resize(newWidth, newHeight) {
-            // Resize sky overlay
-            skyOverlay.clear();
-            skyOverlay.beginFill(0x000000);
-            skyOverlay.drawRect(0, 0, newWidth, newHeight);
-            skyOverlay.endFill();
+        getDaylight() {
+            const dayEnd = config.dayDuration / totalDuration;
+            const transition = config.transitionDuration / totalDuration;
             
-            // Regenerate stars
-            layers.sky.removeChild(stars);
-            stars = createStars(newWidth, newHeight);
-            stars.alpha = isDay ? 0 : 0.8;
-            layers.sky.addChildAt(stars, 0);
+            if (timeOfDay >= dayEnd) {
+                return 0;
+            } else if (timeOfDay < transition) {
+                // Dawn
+                return timeOfDay / transition;
+            } else if (timeOfDay > dayEnd - transition) {
+                // Dusk
+                return (dayEnd - timeOfDay) / transition;
+            }
             
-            // Update positions
-            this.updateCelestialBodies(timeOfDay, newWidth, newHeight);
+            return 1;
         },
         
         /**
@@ -191,24 +201,13 @@ export function initializeDayNightCycle(state) {
          */
         setTimeOfDay(time) {
             timeOfDay = time;
-            totalTime = time * totalDuration;
+            timeOffset = time * totalDuration - state.clock.time;
             
             // Force update
             this.update(0);
         }
     };
     
-    // Listen for resize events
-    window.addEventListener('game-resize', (e) => {
-        const { width, height } = e.detail;
-        dayNightSystem.resize(width, height);
-    });
-    
-    // Add to ticker
-    app.ticker.add(delta => {
-        dayNightSystem.update(delta);
-    });
-    
     return dayNightSystem;
 }
 
@@ -295,10 +294,11 @@ function createMoon() {
  * Creates a starfield
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
- * @returns {PIXI.Container} - Stars container
+ * @returns {PIXI.Container} - Stars container (twinkling stars listed in `twinklers`)
  */
 function createStars(width, height) {
     const container = new PIXI.Container();
+    container.twinklers = [];
     
     // Create stars
     const starCount = Math.floor((width * height) / 2000); // Adjust density as needed
@@ -332,14 +332,23 @@ function createStars(width, height) {
                 }
             };
             
-            app.ticker.add(delta => {
-                star.twinkle.phase += star.twinkle.speed * delta;
-                star.alpha = star.twinkle.original.alpha * (0.7 + Math.sin(star.twinkle.phase) * 0.3);
-            });
+            container.twinklers.push(star);
         }
         
         container.addChild(star);
     }
     
     return container;
+}
+
+/**
+ * Advances the twinkle animation of a starfield
+ * @param {PIXI.Container} stars - Stars container from createStars
+ * @param {number} delta - Time elapsed
+ */
+function updateStars(stars, delta) {
+    stars.twinklers.forEach(star => {
+        star.twinkle.phase += star.twinkle.speed * delta;
+        star.alpha = star.twinkle.original.alpha * (0.7 + Math.sin(star.twinkle.phase) * 0.3);
+    });
 }
\ No newline at end of file
@@ -0,0 +1,22 @@
+// download.js - Offers generated files (routes, tracks) to the user as downloads
+
+// Time the browser gets to start the download before its object URL is released
+const REVOKE_DELAY = 1000;
+
+/**
+ * Offer text to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    // Revoking straight after click() can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
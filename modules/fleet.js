@@ -0,0 +1,79 @@
+// fleet.js - Manages the vessels sailing in the harbour
+
+import { createBoat } from './boat.js';
+
+/**
+ * Creates the fleet from the vessel definitions in config
+ * @param {Object} state - Global application state
+ * @returns {Object} - Fleet manager
+ */
+export function createFleet(state) {
+    const fleet = {
+        boats: [],
+        
+        // Vessel whose position fix is shown on the map (last one clicked)
+        selected: null,
+        
+        /**
+         * Launch a new vessel
+         * @param {Object} vessel - Vessel definition (name, pathPoints, speed, tint, ...)
+         * @returns {Object} - The new boat
+         */
+        add(vessel) {
+            const boat = createBoat(state, vessel);
+            
+            this.boats.push(boat);
+            state.registry.add('boat', boat);
+            
+            if (!this.selected) {
+                this.selected = boat;
+            }
+            
+            return boat;
+        },
+        
+        /**
+         * Remove a vessel and any signals still travelling to it
+         * @param {Object} boat - Boat to remove
+         */
+        remove(boat) {
+            const index = this.boats.indexOf(boat);
+            if (index === -1) return;
+            
+            this.boats.splice(index, 1);
+            
+            state.registry.get('signal')
+                .filter(signal => signal.target === boat)
+                .forEach(signal => state.registry.remove(signal));
+            
+            state.registry.remove(boat);
+            
+            if (this.selected === boat) {
+                this.selected = this.boats[0] || null;
+            }
+        },
+        
+        /**
+         * Select the vessel whose position fix is shown
+         * @param {Object} boat - Boat to select
+         */
+        select(boat) {
+            if (this.boats.includes(boat)) {
+                this.selected = boat;
+            }
+        },
+        
+        /**
+         * Find a vessel by name
+         * @param {string} name - Vessel name
+         * @returns {Object|null} - Boat or null
+         */
+        getByName(name) {
+            return this.boats.find(boat => boat.name === name) || null;
+        }
+    };
+    
+    state.config.fleet.forEach(vessel => fleet.add(vessel));
+    
+    return fleet;
+}
@@ -0,0 +1,221 @@
+// geo.js - Georeference between map positions and latitude/longitude
+
+// Mean Earth radius in nautical miles (one minute of latitude is one mile)
+const EARTH_RADIUS_NM = 3440.065;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two positions (haversine)
+ * @param {Object} from - {lat, lon} in decimal degrees
+ * @param {Object} to - {lat, lon} in decimal degrees
+ * @returns {number} - Distance in nautical miles
+ */
+export function distanceNm(from, to) {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    
+    return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial great-circle bearing from one position to another
+ * @param {Object} from - {lat, lon} in decimal degrees
+ * @param {Object} to - {lat, lon} in decimal degrees
+ * @returns {number} - Bearing in degrees true (0 to 360, clockwise from north)
+ */
+export function bearingTrue(from, to) {
+    const lat1 = toRadians(from.lat);
+    const lat2 = toRadians(to.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Format a bearing the way it is written on a chart, e.g. 047°T
+ * @param {number} degrees - Bearing in degrees true
+ * @returns {string} - Three-digit bearing
+ */
+export function formatBearing(degrees) {
+    const rounded = Math.round(degrees) % 360;
+    return `${String(rounded).padStart(3, '0')}°T`;
+}
+
+/**
+ * Format a position in degrees and decimal minutes, e.g. 44°10.20'N 028°39.60'E
+ * @param {Object} latLon - {lat, lon} in decimal degrees
+ * @returns {string} - Formatted position
+ */
+export function formatLatLon(latLon) {
+    const part = (value, width, positive, negative) => {
+        const absolute = Math.abs(value);
+        let degrees = Math.floor(absolute);
+        let minutes = (absolute - degrees) * 60;
+        
+        // Don't print 60.00 minutes
+        if (Number(minutes.toFixed(2)) >= 60) {
+            degrees += 1;
+            minutes = 0;
+        }
+        
+        return `${String(degrees).padStart(width, '0')}°${minutes.toFixed(2).padStart(5, '0')}'${value < 0 ? negative : positive}`;
+    };
+    
+    return `${part(latLon.lat, 2, 'N', 'S')} ${part(latLon.lon, 3, 'E', 'W')}`;
+}
+
+/**
+ * Creates the georeference for the map, a linear mapping of the map onto the
+ * geographic bounding box in config (the map image is a plate carree chart)
+ * @param {Object} state - Global application state
+ * @returns {Object} - Projection between map positions, lat/lon and nautical miles
+ */
+export function createGeoProjection(state) {
+    const bounds = state.config.map.geoBounds;
+    
+    // Simulated seconds per frame: the day/night cycle stands for 24 hours
+    const cycle = state.config.dayNightCycle;
+    const secondsPerFrame = 24 * 60 * 60 / (cycle.dayDuration + cycle.nightDuration);
+    
+    return {
+        bounds,
+        secondsPerFrame,
+        
+        /**
+         * Convert a map position to latitude and longitude
+         * @param {Object} point - {x, y} map position
+         * @returns {Object} - {lat, lon} in decimal degrees
+         */
+        toLatLon(point) {
+            const { width, height } = state.layout;
+            return {
+                lat: bounds.north - (point.y / height) * (bounds.north - bounds.south),
+                lon: bounds.west + (point.x / width) * (bounds.east - bounds.west)
+            };
+        },
+        
+        /**
+         * Convert latitude and longitude to a map position
+         * @param {Object} latLon - {lat, lon} in decimal degrees
+         * @returns {Object} - {x, y} map position
+         */
+        toWorld(latLon) {
+            const { width, height } = state.layout;
+            return {
+                x: (latLon.lon - bounds.west) / (bounds.east - bounds.west) * width,
+                y: (bounds.north - latLon.lat) / (bounds.north - bounds.south) * height
+            };
+        },
+        
+        /**
+         * Convert a configured position to fractions of the map size. Config
+         * positions may be real coordinates {lat, lon} or map fractions {x, y}.
+         * @param {Object} position - {lat, lon} or {x, y}
+         * @returns {Object} - {x, y} fractions of the map width and height
+         */
+        toFraction(position) {
+            if (position.lat === undefined) {
+                return { x: position.x, y: position.y };
+            }
+            
+            return {
+                x: (position.lon - bounds.west) / (bounds.east - bounds.west),
+                y: (bounds.north - position.lat) / (bounds.north - bounds.south)
+            };
+        },
+        
+        /**
+         * Convert a configured position ({lat, lon} or {x, y} fractions) to a map position
+         * @param {Object} position - {lat, lon} or {x, y}
+         * @returns {Object} - {x, y} map position
+         */
+        resolve(position) {
+            const { width, height } = state.layout;
+            const fraction = this.toFraction(position);
+            return { x: fraction.x * width, y: fraction.y * height };
+        },
+        
+        /**
+         * Nautical miles covered by one map pixel east and south. They differ:
+         * degrees of longitude shrink with latitude and the map is stretched to the screen.
+         * @returns {Object} - {x, y} nautical miles per pixel
+         */
+        getScale() {
+            const { width, height } = state.layout;
+            const midLatitude = toRadians((bounds.north + bounds.south) / 2);
+            return {
+                x: (bounds.east - bounds.west) * 60 * Math.cos(midLatitude) / width,
+                y: (bounds.north - bounds.south) * 60 / height
+            };
+        },
+        
+        /**
+         * Length in nautical miles of a displacement on the map
+         * @param {number} dx - Pixels east
+         * @param {number} dy - Pixels south
+         * @returns {number} - Nautical miles
+         */
+        vectorToNm(dx, dy) {
+            const scale = this.getScale();
+            return Math.hypot(dx * scale.x, dy * scale.y);
+        },
+        
+        /**
+         * Approximate nautical miles for a length on the map in no particular direction
+         * @param {number} pixels - Length in pixels
+         * @returns {number} - Nautical miles
+         */
+        pixelsToNm(pixels) {
+            const scale = this.getScale();
+            return pixels * (scale.x + scale.y) / 2;
+        },
+        
+        /**
+         * Distance between two map positions
+         * @param {Object} from - {x, y} map position
+         * @param {Object} to - {x, y} map position
+         * @returns {number} - Nautical miles
+         */
+        distanceNm(from, to) {
+            return distanceNm(this.toLatLon(from), this.toLatLon(to));
+        },
+        
+        /**
+         * Bearing from one map position to another
+         * @param {Object} from - {x, y} map position
+         * @param {Object} to - {x, y} map position
+         * @returns {number} - Degrees true
+         */
+        bearingTrue(from, to) {
+            return bearingTrue(this.toLatLon(from), this.toLatLon(to));
+        },
+        
+        /**
+         * True heading of a direction on the map (east is rotation 0, y points south)
+         * @param {number} rotation - Direction in radians
+         * @returns {number} - Degrees true
+         */
+        headingTrue(rotation) {
+            const scale = this.getScale();
+            const east = Math.cos(rotation) * scale.x;
+            const north = -Math.sin(rotation) * scale.y;
+            return (toDegrees(Math.atan2(east, north)) + 360) % 360;
+        },
+        
+        /**
+         * Speed in knots of a map velocity
+         * @param {Object} velocity - {x, y} pixels per frame
+         * @returns {number} - Knots
+         */
+        speedKnots(velocity) {
+            const nmPerFrame = this.vectorToNm(velocity.x, velocity.y);
+            return nmPerFrame * 3600 / secondsPerFrame;
+        }
+    };
+}
@@ -0,0 +1,327 @@
+// helm.js - Manual helm: steer the selected vessel with the keyboard or a gamepad
+
+import { formatBearing, formatLatLon } from './geo.js';
+
+// Keys that drive the helm while manual mode is on
+const HELM_KEYS = {
+    ahead: ['ArrowUp', 'w', 'W'],
+    astern: ['ArrowDown', 's', 'S'],
+    port: ['ArrowLeft', 'a', 'A'],
+    starboard: ['ArrowRight', 'd', 'D']
+};
+
+// Standard gamepad mapping: left stick steers, triggers drive, Start toggles the mode
+const GAMEPAD = {
+    rudderAxis: 0,
+    asternButton: 6,
+    aheadButton: 7,
+    toggleButton: 9
+};
+
+/**
+ * Creates the manual helm that takes over the selected vessel from its autopilot
+ * @param {Object} state - Global application state
+ * @returns {Object} - Helm controller
+ */
+export function createHelm(state) {
+    const config = state.config.helm;
+    
+    // Keys currently held down
+    const held = new Set();
+    
+    // Start button state last frame, so a press toggles once
+    let toggleWasPressed = false;
+    
+    const helm = {
+        // Whether a vessel is under manual control
+        active: false,
+        // The vessel being steered
+        boat: null,
+        // Whether the last input came from a gamepad
+        usingGamepad: false,
+        hud: null,
+        
+        /**
+         * Switch manual mode on or off for the selected vessel
+         */
+        toggle() {
+            if (this.active) {
+                this.release();
+            } else {
+                this.takeControl(state.entities.fleet ? state.entities.fleet.selected : null);
+            }
+        },
+        
+        /**
+         * Take the helm of a vessel
+         * @param {Object} boat - Boat to steer
+         */
+        takeControl(boat) {
+            if (!boat) return;
+            if (this.boat && this.boat !== boat) {
+                this.boat.setManual(false);
+            }
+            
+            this.boat = boat;
+            this.active = true;
+            boat.setManual(true);
+            this.hud.container.visible = true;
+            console.log(`Manual helm: ${boat.name}`);
+        },
+        
+        /**
+         * Hand the vessel back to its autopilot
+         */
+        release() {
+            if (this.boat) {
+                this.boat.setManual(false);
+                console.log(`Autopilot: ${this.boat.name}`);
+            }
+            
+            this.boat = null;
+            this.active = false;
+            held.clear();
+            this.hud.container.visible = false;
+        },
+        
+        /**
+         * Read the keyboard and gamepad and drive the vessel's helm
+         * @param {number} delta - Real frames elapsed
+         */
+        update(delta) {
+            const fleet = state.entities.fleet;
+            this.pollToggle();
+            if (!this.active) return;
+            
+            // Follow the selection, and let go of vessels that have left the fleet
+            if (!fleet || !fleet.boats.includes(this.boat)) {
+                this.release();
+                return;
+            }
+            if (fleet.selected && fleet.selected !== this.boat) {
+                this.takeControl(fleet.selected);
+            }
+            
+            const controls = this.boat.helm;
+            
+            if (!this.applyGamepad(controls)) {
+                this.applyKeyboard(controls, delta);
+            }
+            
+            this.hud.update(this.boat, this.usingGamepad);
+        },
+        
+        /**
+         * Nudge throttle and rudder from the held keys; the rudder centres itself when released
+         * @param {Object} controls - Boat helm {rudder, throttle}
+         * @param {number} delta - Real frames elapsed
+         */
+        applyKeyboard(controls, delta) {
+            const isHeld = (keys) => keys.some(key => held.has(key));
+            
+            if (isHeld(HELM_KEYS.ahead)) {
+                controls.throttle = Math.min(1, controls.throttle + config.throttleRate * delta);
+            }
+            if (isHeld(HELM_KEYS.astern)) {
+                controls.throttle = Math.max(config.minThrottle, controls.throttle - config.throttleRate * delta);
+            }
+            
+            const turn = (isHeld(HELM_KEYS.starboard) ? 1 : 0) - (isHeld(HELM_KEYS.port) ? 1 : 0);
+            if (turn !== 0) {
+                controls.rudder = Math.max(-1, Math.min(1, controls.rudder + turn * config.rudderRate * delta));
+            } else {
+                const centring = Math.min(Math.abs(controls.rudder), config.rudderRate * delta);
+                controls.rudder -= Math.sign(controls.rudder) * centring;
+            }
+        },
+        
+        /**
+         * Set throttle and rudder straight from the first connected gamepad
+         * @param {Object} controls - Boat helm {rudder, throttle}
+         * @returns {boolean} - True if the gamepad is being used
+         */
+        applyGamepad(controls) {
+            const pad = getGamepad();
+            if (!pad) {
+                this.usingGamepad = false;
+                return false;
+            }
+            
+            const stick = pad.axes[GAMEPAD.rudderAxis] || 0;
+            const ahead = getButtonValue(pad, GAMEPAD.aheadButton);
+            const astern = getButtonValue(pad, GAMEPAD.asternButton);
+            
+            // Leave the pad alone and the keyboard takes over (centring the rudder)
+            const touched = Math.abs(stick) > config.deadZone || ahead > config.deadZone || astern > config.deadZone;
+            if (!touched) return false;
+            
+            this.usingGamepad = true;
+            controls.rudder = Math.abs(stick) > config.deadZone ? stick : 0;
+            controls.throttle = ahead + astern * config.minThrottle;
+            return true;
+        },
+        
+        /**
+         * Toggle manual mode from the gamepad's Start button
+         */
+        pollToggle() {
+            const pad = getGamepad();
+            const pressed = !!pad && getButtonValue(pad, GAMEPAD.toggleButton) > 0.5;
+            
+            if (pressed && !toggleWasPressed && !state.isZoomed) {
+                this.toggle();
+            }
+            toggleWasPressed = pressed;
+        }
+    };
+    
+    helm.hud = createHelmHud(state);
+    
+    window.addEventListener('keydown', (e) => {
+        if (!helm.active || state.isZoomed) return;
+        
+        const isHelmKey = Object.values(HELM_KEYS).some(keys => keys.includes(e.key));
+        if (isHelmKey) {
+            // Keep the arrow keys from scrolling the page
+            e.preventDefault();
+            held.add(e.key);
+            helm.usingGamepad = false;
+        }
+    });
+    
+    window.addEventListener('keyup', (e) => {
+        held.delete(e.key);
+    });
+    
+    // Keys released while the window is in the background never send keyup
+    window.addEventListener('blur', () => held.clear());
+    
+    return helm;
+}
+
+/**
+ * Get the first connected gamepad
+ * @returns {Gamepad|null} - Gamepad or null if none is connected
+ */
+function getGamepad() {
+    if (!navigator.getGamepads) return null;
+    
+    const pads = navigator.getGamepads();
+    for (let i = 0; i < pads.length; i++) {
+        if (pads[i] && pads[i].connected) return pads[i];
+    }
+    
+    return null;
+}
+
+/**
+ * Read an analogue button (triggers report 0 to 1)
+ * @param {Gamepad} pad - Gamepad
+ * @param {number} index - Button index
+ * @returns {number} - Button value
+ */
+function getButtonValue(pad, index) {
+    const button = pad.buttons[index];
+    if (!button) return 0;
+    return typeof button === 'object' ? button.value : button;
+}
+
+/**
+ * Creates the heads-up display shown while steering by hand
+ * @param {Object} state - Global application state
+ * @returns {Object} - HUD with container and update
+ */
+function createHelmHud(state) {
+    const { layers } = state;
+    const receiverConfig = state.config.boat.receiver;
+    
+    const container = new PIXI.Container();
+    container.name = 'helmHud';
+    container.position.set(10, 10);
+    container.visible = false;
+    
+    // Panel background
+    const panel = new PIXI.Graphics();
+    panel.beginFill(0x000000, 0.6);
+    panel.drawRoundedRect(0, 0, 230, 182, 5);
+    panel.endFill();
+    
+    const text = new PIXI.Text('', {
+        fontFamily: 'Arial',
+        fontSize: 12,
+        fill: 0xFFFFFF,
+        lineHeight: 16
+    });
+    text.position.set(10, 8);
+    
+    // Throttle and rudder gauges
+    const gauges = new PIXI.Graphics();
+    gauges.position.set(10, 152);
+    
+    container.addChild(panel, text, gauges);
+    layers.ui.addChild(container);
+    
+    return {
+        container,
+        
+        /**
+         * Refresh the readouts for a vessel
+         * @param {Object} boat - Boat being steered
+         * @param {boolean} usingGamepad - Whether the gamepad is in use
+         */
+        update(boat, usingGamepad) {
+            const { velocity } = boat.physics;
+            const { geo } = state;
+            
+            // Lighthouses heard recently enough to count towards the fix
+            const heard = Object.values(boat.receiver.lastArrivals)
+                .filter(arrival => state.time - arrival.timestamp <= receiverConfig.maxArrivalAge);
+            const strength = boat.receiver.lastSignal ? boat.receiver.lastSignal.strength : 0;
+            const fix = boat.receiver.fix;
+            const { depth } = boat;
+            
+            text.text = [
+                `${boat.name} - manual helm (${usingGamepad ? 'gamepad' : 'keys'})`,
+                `Position: ${formatLatLon(geo.toLatLon(boat.container))}`,
+                `Heading: ${formatBearing(geo.headingTrue(boat.container.rotation))}`,
+                `Speed over ground: ${geo.speedKnots(velocity).toFixed(1)} kn`,
+                `Signals: ${heard.length} lighthouse${heard.length === 1 ? '' : 's'}, last ${Math.round(strength * 100)}%`,
+                `Fix: ${fix ? `±${geo.pixelsToNm(fix.ellipse.major).toFixed(2)} nm` : 'none'}`,
+                depth.metres === null ? 'Depth: unknown' :
+                    `Depth: ${depth.metres.toFixed(1)} m${depth.warning ? ' - SHOAL WATER' : ''}`,
+                'H: autopilot'
+            ].join('\n');
+            text.style.fill = depth.warning ? 0xFFAAAA : 0xFFFFFF;
+            
+            // Throttle from astern (left) to full ahead (right), rudder port to starboard
+            gauges.clear();
+            drawGauge(gauges, 0, boat.helm.throttle, 0x4CAF50);
+            drawGauge(gauges, 12, boat.physics.rudder, 0xFFC107);
+        }
+    };
+}
+
+/**
+ * Draw a centred bar gauge for a value from -1 to 1
+ * @param {PIXI.Graphics} graphics - Graphics to draw into
+ * @param {number} y - Row offset
+ * @param {number} value - Value from -1 to 1
+ * @param {number} color - Bar colour
+ */
+function drawGauge(graphics, y, value, color) {
+    const width = 190;
+    const centre = width / 2;
+    
+    graphics.beginFill(0x555555);
+    graphics.drawRect(0, y, width, 8);
+    graphics.endFill();
+    
+    graphics.beginFill(color);
+    graphics.drawRect(Math.min(centre, centre + value * centre), y, Math.abs(value) * centre, 8);
+    graphics.endFill();
+    
+    graphics.lineStyle(1, 0xFFFFFF, 0.8);
+    graphics.moveTo(centre, y - 1);
+    graphics.lineTo(centre, y + 9);
+    graphics.lineStyle(0);
+}
@@ -1,5 +1,8 @@
 // interactions.js - Handles user interactions and UI controls
 
+import { getSceneLayers, screenToWorld } from './renderer.js';
+import { formatLatLon } from './geo.js';
+
 /**
  * Sets up event listeners for user interactions
  * @param {Object} state - Global application state
@@ -10,6 +13,7 @@ export function setupEventListeners(state) {
     setupUIControls(state);
     setupFullscreenButton();
     setupTouchControls(state);
+    setupNavigationOrders(state);
 }
 
 /**
@@ -28,12 +32,43 @@ function setupKeyboardControls(state) {
                 break;
                 
             case 'd':
+                // D steers to starboard while the manual helm is on
+                if (state.helm && state.helm.active) break;
+                
                 // Debug mode toggle
                 state.debug = !state.debug;
                 console.log(`Debug mode: ${state.debug ? 'on' : 'off'}`);
                 toggleDebugInfo(state);
                 break;
                 
+            case 'h':
+                // Manual helm for the selected vessel on/off
+                if (state.helm && !state.isZoomed) {
+                    state.helm.toggle();
+                }
+                break;
+                
+            case 'r':
+                // Route editor for the selected vessel on/off
+                if (state.routeEditor && !state.isZoomed) {
+                    state.routeEditor.toggle();
+                }
+                break;
+                
+            case 'b':
+                // Show/hide the depth contours and soundings
+                if (state.bathymetry) {
+                    state.bathymetry.toggle();
+                }
+                break;
+                
+            case 'k':
+                // Show/hide the recorded tracks
+                if (state.trackControls) {
+                    state.trackControls.toggle();
+                }
+                break;
+                
             case 't':
                 // Manually toggle time of day for testing
                 if (state.dayNightCycle) {
@@ -41,6 +76,42 @@ function setupKeyboardControls(state) {
                     state.dayNightCycle.setTimeOfDay(state.isDay ? 0.2 : 0.7);
                 }
                 break;
+                
+            case 'm':
+                // Mute/unmute ambience
+                if (state.audio) {
+                    state.audio.toggleMute();
+                }
+                break;
+                
+            case ' ':
+                // Pause/resume the simulation
+                if (state.clock) {
+                    e.preventDefault();
+                    state.clock.togglePause();
+                }
+                break;
+                
+            case '.':
+                // Step one frame (pauses first)
+                if (state.clock) {
+                    state.clock.step();
+                }
+                break;
+                
+            case '[':
+                // Slow the simulation down
+                if (state.clock) {
+                    state.clock.slower();
+                }
+                break;
+                
+            case ']':
+                // Speed the simulation up
+                if (state.clock) {
+                    state.clock.faster();
+                }
+                break;
         }
     });
 }
@@ -73,7 +144,7 @@ function createDebugControls(state) {
     // Create debug panel
     const panel = new PIXI.Graphics();
     panel.beginFill(0x000000, 0.7);
-    panel.drawRect(0, 0, 200, 120);
+    panel.drawRect(0, 0, 200, 115);
     panel.endFill();
     
     // Add FPS counter
@@ -108,12 +179,25 @@ function createDebugControls(state) {
     });
     mouseText.position.set(10, 70);
     
+    // Add per-system update cost
+    const costText = new PIXI.Text('', {
+        fontFamily: 'Arial',
+        fontSize: 12,
+        fill: 0xFFFFFF
+    });
+    costText.position.set(10, 110);
+    
     // Add to container
-    debugContainer.addChild(panel, fpsText, entityText, timeText, mouseText);
+    debugContainer.addChild(panel, fpsText, entityText, timeText, mouseText, costText);
     
     // Position in top-right corner
     debugContainer.position.set(app.screen.width - 210, 10);
     
+    // Keep it in the top-right corner as the window resizes
+    window.addEventListener('game-resize', (e) => {
+        debugContainer.position.set(e.detail.width - 210, 10);
+    });
+    
     // Add to UI layer
     layers.ui.addChild(debugContainer);
     
@@ -139,22 +223,38 @@ function createDebugControls(state) {
         }
         
         // Update entity count
-        let entityCount = 0;
-        if (state.entities.lighthouses) entityCount += state.entities.lighthouses.length;
-        if (state.entities.boat) entityCount++;
-        if (state.signals) entityCount += state.signals.length;
-        
-        entityText.text = `Entities: ${entityCount}`;
+        entityText.text = `Entities: ${state.registry ? state.registry.count() : 0}`;
         
         // Update time of day
-        timeText.text = `Time: ${state.isDay ? 'Day' : 'Night'}`;
+        const clockStatus = state.clock
+            ? ` (${state.clock.paused ? 'paused' : `${Number(state.clock.scale.toFixed(2))}x`})`
+            : '';
+        timeText.text = `Time: ${state.isDay ? 'Day' : 'Night'}${clockStatus}`;
         
-        // Update mouse position on movement
-        app.stage.interactive = true;
-        app.stage.on('pointermove', (e) => {
-            const pos = e.data.global;
-            mouseText.text = `Mouse: ${Math.round(pos.x)},${Math.round(pos.y)}`;
-        });
+        // Update per-system cost (ms per frame, smoothed by the registry)
+        if (state.registry) {
+            const stats = state.registry.getStats();
+            costText.text = stats
+                .map(stat => `${stat.type} x${stat.count}: ${stat.cost.toFixed(2)}ms`)
+                .join('\n');
+            
+            // Grow the panel to fit the cost list
+            panel.clear();
+            panel.beginFill(0x000000, 0.7);
+            panel.drawRect(0, 0, 200, 120 + costText.height);
+            panel.endFill();
+        }
+    });
+    
+    // Update mouse position on movement
+    app.stage.interactive = true;
+    app.stage.on('pointermove', (e) => {
+        const pos = e.data.global;
+        const world = screenToWorld(pos);
+        mouseText.text = `Mouse: ${Math.round(pos.x)},${Math.round(pos.y)} (world ${Math.round(world.x)},${Math.round(world.y)})`;
+        if (state.geo) {
+            mouseText.text += `\n${formatLatLon(state.geo.toLatLon(world))}`;
+        }
     });
     
     return debugContainer;
@@ -238,6 +338,15 @@ function setupTouchControls(state) {
     let isPinching = false;
     let touchPoints = [];
     
+    // Pinch centre in canvas coordinates, used as the zoom anchor
+    const getPinchCentre = (touches) => {
+        const rect = app.view.getBoundingClientRect();
+        return {
+            x: (touches[0].clientX + touches[1].clientX) / 2 - rect.left,
+            y: (touches[0].clientY + touches[1].clientY) / 2 - rect.top
+        };
+    };
+    
     app.view.addEventListener('touchstart', (e) => {
         // Store touch points
         touchPoints = [];
@@ -269,24 +378,53 @@ function setupTouchControls(state) {
             // Calculate zoom factor
             const zoomFactor = currentDistance / initialDistance;
             
-            // Apply zoom (use with caution - this is just a simple example)
-            // In a real app you would probably want to limit the zoom range
-            // and handle the zoom in a more sophisticated way
-            if (zoomFactor > 1.05 || zoomFactor < 0.95) {
+            // Zoom the camera around the pinch centre (the camera clamps the range)
+            if ((zoomFactor > 1.02 || zoomFactor < 0.98) && state.camera && !state.isZoomed) {
                 initialDistance = currentDistance;
-                
-                // Apply zoom to stage (example only)
-                // app.stage.scale.x = Math.min(2, Math.max(0.5, app.stage.scale.x * zoomFactor));
-                // app.stage.scale.y = Math.min(2, Math.max(0.5, app.stage.scale.y * zoomFactor));
+                state.camera.zoomAt(zoomFactor, getPinchCentre(e.touches));
             }
+            
+            // Stop the browser zooming the page as well
+            e.preventDefault();
         }
-    });
+    }, { passive: false });
     
     app.view.addEventListener('touchend', (e) => {
         isPinching = false;
     });
 }
 
+/**
+ * Lets a click on open water order the selected vessel there
+ * @param {Object} state - Global application state
+ */
+function setupNavigationOrders(state) {
+    const { app } = state;
+    
+    // Let the stage receive clicks that miss every lighthouse, boat and button
+    app.stage.interactive = true;
+    app.stage.hitArea = app.screen;
+    
+    app.stage.on('pointertap', (e) => {
+        if (e.target !== app.stage || state.isZoomed) return;
+        if (state.camera && state.camera.dragged) return;
+        
+        // Clicks place waypoints while the route editor is open
+        if (state.routeEditor && state.routeEditor.active) return;
+        
+        const fleet = state.entities.fleet;
+        if (!fleet || !fleet.selected || !state.navigation) return;
+        if (fleet.selected.manual) return;
+        
+        const point = screenToWorld(e.global);
+        if (!state.navigation.isWater(point.x, point.y)) return;
+        
+        if (!fleet.selected.goTo(point)) {
+            console.log(`No route for ${fleet.selected.name} to ${Math.round(point.x)},${Math.round(point.y)}`);
+        }
+    });
+}
+
 /**
  * Calculate distance between two points
  * @param {number} x1 - First point x
@@ -326,12 +464,15 @@ function exitDetailView(state) {
             y: entity.originalPosition.y,
             scale: entity.originalPosition.scale,
             rotation: entity.originalPosition.rotation || 0,
-            duration: 1
+            duration: 1,
+            onComplete: () => {
+                entity.inDetailView = false;
+            }
         });
     }
     
     // Fade in other elements
-    state.app.stage.children.forEach(layer => {
+    getSceneLayers(state.layers).forEach(layer => {
         if (layer instanceof PIXI.Container) {
             layer.children.forEach(child => {
                 gsap.to(child, { alpha: 1, duration: 0.5 });
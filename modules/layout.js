@@ -0,0 +1,112 @@
+// layout.js - Fixed logical world size, integer scaling and letterboxing
+
+/**
+ * Fit the logical world into the window
+ * @param {number} screenWidth - Window width in CSS pixels
+ * @param {number} screenHeight - Window height in CSS pixels
+ * @param {Object} config - Renderer configuration (width, height, integerScaling)
+ * @returns {Object} - {scale, offsetX, offsetY} placing the world centred on screen
+ */
+export function fitLayout(screenWidth, screenHeight, config) {
+    const fit = Math.min(screenWidth / config.width, screenHeight / config.height);
+    
+    // Whole-number scales keep pixel art crisp; windows smaller than the world shrink it instead
+    const scale = config.integerScaling && fit >= 1 ? Math.floor(fit) : fit;
+    
+    return {
+        scale,
+        offsetX: Math.round((screenWidth - config.width * scale) / 2),
+        offsetY: Math.round((screenHeight - config.height * scale) / 2)
+    };
+}
+
+/**
+ * Creates the layout: the world keeps a fixed logical size and the viewport
+ * holding it is scaled to the window, with letterbox bars filling the rest.
+ * This is the only window resize handler; once the viewport has been fitted
+ * it dispatches 'game-resize' (detail: window width and height, and the layout)
+ * for the screen-space UI. World modules work in logical units and never resize.
+ * @param {PIXI.Application} app - The PixiJS application
+ * @param {Object} layers - Layers created by initializeRenderer
+ * @param {Object} config - Renderer configuration
+ * @returns {Object} - Layout with the logical size and screen conversions
+ */
+export function createLayout(app, layers, config) {
+    const { viewport, letterbox } = layers;
+    
+    // Keep world content (e.g. tiles when zoomed out) off the letterbox bars
+    const mask = new PIXI.Graphics();
+    mask.beginFill(0xFFFFFF);
+    mask.drawRect(0, 0, config.width, config.height);
+    mask.endFill();
+    viewport.addChild(mask);
+    viewport.mask = mask;
+    
+    const layout = {
+        // Logical world size, fixed for the life of the app
+        width: config.width,
+        height: config.height,
+        
+        // Current fit of the world into the window
+        scale: 1,
+        offsetX: 0,
+        offsetY: 0,
+        screenWidth: 0,
+        screenHeight: 0,
+        
+        /**
+         * Fit the viewport to the window and tell the UI
+         */
+        update() {
+            this.screenWidth = window.innerWidth;
+            this.screenHeight = window.innerHeight;
+            app.renderer.resize(this.screenWidth, this.screenHeight);
+            
+            Object.assign(this, fitLayout(this.screenWidth, this.screenHeight, config));
+            viewport.scale.set(this.scale);
+            viewport.position.set(this.offsetX, this.offsetY);
+            
+            // Bars around the world, and the sky colour behind it
+            letterbox.clear();
+            letterbox.beginFill(config.letterboxColor);
+            letterbox.drawRect(0, 0, this.screenWidth, this.screenHeight);
+            letterbox.endFill();
+            letterbox.beginFill(config.backgroundColor);
+            letterbox.drawRect(this.offsetX, this.offsetY, this.width * this.scale, this.height * this.scale);
+            letterbox.endFill();
+            
+            window.dispatchEvent(new CustomEvent('game-resize', {
+                detail: { width: this.screenWidth, height: this.screenHeight, layout: this }
+            }));
+        },
+        
+        /**
+         * Convert a screen position to logical viewport coordinates
+         * @param {Object} position - {x, y} in screen coordinates
+         * @returns {Object} - {x, y} in logical coordinates
+         */
+        toLogical(position) {
+            return {
+                x: (position.x - this.offsetX) / this.scale,
+                y: (position.y - this.offsetY) / this.scale
+            };
+        },
+        
+        /**
+         * Convert logical viewport coordinates to a screen position
+         * @param {Object} position - {x, y} in logical coordinates
+         * @returns {Object} - {x, y} in screen coordinates
+         */
+        toScreen(position) {
+            return {
+                x: position.x * this.scale + this.offsetX,
+                y: position.y * this.scale + this.offsetY
+            };
+        }
+    };
+    
+    window.addEventListener('resize', () => layout.update());
+    layout.update();
+    
+    return layout;
+}
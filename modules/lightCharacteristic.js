@@ -0,0 +1,203 @@
+// lightCharacteristic.js - Light characteristics ("Fl(2) 10s") and Morse identifiers
+
+// Frames per second the simulation timers are expressed in
+const FPS = 60;
+
+// Standard flash and eclipse durations in seconds
+const FLASH_DURATION = 0.5;
+const LONG_FLASH_DURATION = 2;
+const GROUP_GAP = 1;
+const ECLIPSE_DURATION = 1;
+const MORSE_UNIT = 0.4;
+
+const MORSE_TABLE = {
+    A: '.-', B: '-...', C: '-.-.', D: '-..', E: '.', F: '..-.', G: '--.', H: '....',
+    I: '..', J: '.---', K: '-.-', L: '.-..', M: '--', N: '-.', O: '---', P: '.--.',
+    Q: '--.-', R: '.-.', S: '...', T: '-', U: '..-', V: '...-', W: '.--', X: '-..-',
+    Y: '-.--', Z: '--..', 0: '-----', 1: '.----', 2: '..---', 3: '...--', 4: '....-',
+    5: '.....', 6: '-....', 7: '--...', 8: '---..', 9: '----.'
+};
+
+const MORSE_REVERSE = Object.fromEntries(
+    Object.entries(MORSE_TABLE).map(([letter, code]) => [code, letter])
+);
+
+/**
+ * Encode text as Morse code
+ * @param {string} text - Text to encode (letters and digits)
+ * @returns {string} - Dots and dashes, letters separated by spaces, words by " / "
+ */
+export function encodeMorse(text) {
+    return text.toUpperCase().trim().split(/\s+/)
+        .map(word => word.split('')
+            .filter(char => MORSE_TABLE[char])
+            .map(char => MORSE_TABLE[char])
+            .join(' '))
+        .join(' / ');
+}
+
+/**
+ * Decode Morse code back into text
+ * @param {string} code - Dots and dashes as produced by encodeMorse
+ * @returns {string} - Decoded text ("?" for unknown symbols)
+ */
+export function decodeMorse(code) {
+    return code.trim().split(' / ')
+        .map(word => word.split(' ')
+            .filter(symbol => symbol.length > 0)
+            .map(symbol => MORSE_REVERSE[symbol] || '?')
+            .join(''))
+        .join(' ');
+}
+
+/**
+ * Turn Morse code into on/off keying, one entry per Morse unit
+ * (dot = 1 on, dash = 3 on, 1 off between symbols, 3 between letters, 7 between words)
+ * @param {string} code - Morse code
+ * @returns {Array<boolean>} - Keying pattern
+ */
+export function morseToKeying(code) {
+    const keying = [];
+    const words = code.trim().split(' / ');
+    
+    words.forEach((word, wordIndex) => {
+        if (wordIndex > 0) keying.push(...new Array(7).fill(false));
+        
+        word.split(' ').forEach((letter, letterIndex) => {
+            if (letterIndex > 0) keying.push(false, false, false);
+            
+            letter.split('').forEach((symbol, symbolIndex) => {
+                if (symbolIndex > 0) keying.push(false);
+                keying.push(...new Array(symbol === '-' ? 3 : 1).fill(true));
+            });
+        });
+    });
+    
+    return keying;
+}
+
+/**
+ * Recover Morse code from an on/off keying pattern
+ * @param {Array<boolean>} keying - Keying pattern, one entry per Morse unit
+ * @returns {string} - Morse code
+ */
+export function keyingToMorse(keying) {
+    let code = '';
+    let i = 0;
+    
+    while (i < keying.length) {
+        const value = keying[i];
+        let run = 0;
+        while (i < keying.length && keying[i] === value) {
+            run++;
+            i++;
+        }
+        
+        if (value) {
+            // Anything clearly longer than a dot is a dash
+            code += run >= 2 ? '-' : '.';
+        } else if (run >= 5) {
+            code += ' / ';
+        } else if (run >= 2) {
+            code += ' ';
+        }
+    }
+    
+    return code.trim();
+}
+
+/**
+ * Parse a light characteristic such as "Fl(2) 10s", "Oc 4s", "Iso 6s", "Q" or "Mo(A) 8s"
+ * @param {string} characteristic - Characteristic in chart notation
+ * @returns {Object} - {type, group, period, phases} with phases as [{on, duration}] in frames
+ */
+export function parseCharacteristic(characteristic) {
+    const match = /^\s*(F|Fl|LFl|Oc|Iso|Q|VQ|Mo)(?:\(([^)]+)\))?\s*(?:(\d+(?:\.\d+)?)s)?\s*$/.exec(characteristic || '');
+    if (!match) {
+        console.warn(`Unknown light characteristic '${characteristic}', using fixed light`);
+        return { type: 'F', group: null, period: FPS, phases: [{ on: true, duration: FPS }] };
+    }
+    
+    const type = match[1];
+    const group = match[2] || null;
+    const count = group && /^\d+$/.test(group) ? parseInt(group, 10) : 1;
+    const seconds = match[3] ? parseFloat(match[3]) : null;
+    
+    // Build phases in seconds first
+    let phases = [];
+    
+    switch (type) {
+        case 'F':
+            phases = [{ on: true, duration: seconds || 1 }];
+            break;
+        
+        case 'Fl':
+        case 'LFl': {
+            const flash = type === 'LFl' ? LONG_FLASH_DURATION : FLASH_DURATION;
+            for (let i = 0; i < count; i++) {
+                if (i > 0) phases.push({ on: false, duration: GROUP_GAP });
+                phases.push({ on: true, duration: flash });
+            }
+            break;
+        }
+        
+        case 'Oc':
+            for (let i = 0; i < count; i++) {
+                if (i > 0) phases.push({ on: true, duration: GROUP_GAP });
+                phases.push({ on: false, duration: ECLIPSE_DURATION });
+            }
+            break;
+        
+        case 'Iso': {
+            const half = (seconds || 2) / 2;
+            phases = [{ on: true, duration: half }, { on: false, duration: half }];
+            break;
+        }
+        
+        case 'Q':
+        case 'VQ': {
+            // 60 or 120 flashes per minute
+            const cycle = type === 'Q' ? 1 : 0.5;
+            phases = [{ on: true, duration: cycle * 0.4 }, { on: false, duration: cycle * 0.6 }];
+            break;
+        }
+        
+        case 'Mo':
+            morseToKeying(encodeMorse(group || 'A')).forEach(on => {
+                phases.push({ on, duration: MORSE_UNIT });
+            });
+            break;
+    }
+    
+    // Pad the cycle to the stated period with darkness (or light for occulting lights)
+    const used = phases.reduce((sum, phase) => sum + phase.duration, 0);
+    if (seconds && seconds > used) {
+        phases.push({ on: type === 'Oc', duration: seconds - used });
+    }
+    
+    const framePhases = phases.map(phase => ({ on: phase.on, duration: phase.duration * FPS }));
+    
+    return {
+        type,
+        group,
+        period: framePhases.reduce((sum, phase) => sum + phase.duration, 0),
+        phases: framePhases
+    };
+}
+
+/**
+ * Check whether a light is lit at a point in its cycle
+ * @param {Object} light - Parsed characteristic
+ * @param {number} time - Time in frames
+ * @returns {boolean} - True if the light is on
+ */
+export function isLightOn(light, time) {
+    let t = ((time % light.period) + light.period) % light.period;
+    
+    for (const phase of light.phases) {
+        if (t < phase.duration) return phase.on;
+        t -= phase.duration;
+    }
+    
+    return false;
+}
@@ -1,7 +1,11 @@
 // lighthouse.js - Handles lighthouse creation, logic, and signals
 
 import { AssetCache } from './assetLoader.js';
-import { Signal } from './signal.js';
+import { getSceneLayers, screenToWorld } from './renderer.js';
+import { Signal, PulseSignal } from './signal.js';
+import { parseCharacteristic, isLightOn, encodeMorse, morseToKeying } from './lightCharacteristic.js';
+import { createEmitter } from './particles.js';
+import { formatLatLon } from './geo.js';
 
 /**
  * Creates lighthouses at specified positions
@@ -9,23 +13,29 @@ import { Signal } from './signal.js';
  * @returns {Array} - Array of lighthouse objects
  */
 export function createLighthouses(state) {
-    const { app, layers } = state;
-    const { width, height } = app.screen;
+    const { layers } = state;
     const config = state.config.lighthouse;
     
     const lighthouses = [];
     
     // Create each lighthouse
     config.positions.forEach((pos, index) => {
+        const position = state.geo.resolve(pos);
         const lighthouse = createLighthouse(
-            width * pos.x,
-            height * pos.y,
-            pos.name,
+            position.x,
+            position.y,
+            pos,
             config.colors[index % config.colors.length],
             config,
             state
         );
         
+        // Each lighthouse gets its own foghorn voice
+        lighthouse.foghorn = {
+            pitch: config.foghorn.pitches[index % config.foghorn.pitches.length],
+            blasts: config.foghorn.blasts[index % config.foghorn.blasts.length]
+        };
+        
         layers.structures.addChild(lighthouse.container);
         lighthouses.push(lighthouse);
     });
@@ -37,13 +47,14 @@ export function createLighthouses(state) {
  * Creates a single lighthouse
  * @param {number} x - X position
  * @param {number} y - Y position
- * @param {string} name - Lighthouse name
+ * @param {Object} station - Station config (name, characteristic, morseId)
  * @param {number} color - Light color
  * @param {Object} config - Lighthouse configuration
  * @param {Object} state - Global application state
  * @returns {Object} - Lighthouse object
  */
-function createLighthouse(x, y, name, color, config, state) {
+function createLighthouse(x, y, station, color, config, state) {
+    const { name } = station;
     const container = new PIXI.Container();
     container.x = x;
     container.y = y;
@@ -106,11 +117,12 @@ function createLighthouse(x, y, name, color, config, state) {
     light.drawCircle(0, lightY, 5);
     light.endFill();
     
-    // Add light glow effect
+    // Add light glow effect (drawn around its own origin so fog can scale it in place)
     const glow = new PIXI.Graphics();
     glow.beginFill(color, 0.3);
-    glow.drawCircle(0, lightY, 10);
+    glow.drawCircle(0, 0, 10);
     glow.endFill();
+    glow.position.set(0, lightY);
     
     // Add shadow
     const shadow = new PIXI.Graphics();
@@ -121,15 +133,31 @@ function createLighthouse(x, y, name, color, config, state) {
     // Combine all elements
     container.addChild(shadow, lighthouseSprite, light, glow);
     
+    // Glints thrown off the lantern each time the light comes on
+    const sparkles = createEmitter(state.app, container, config.sparkles);
+    
+    // Light characteristic drives the lantern, Morse ID drives the signal payload
+    const characteristic = station.characteristic ? parseCharacteristic(station.characteristic) : null;
+    const morseCode = station.morseId ? encodeMorse(station.morseId) : null;
+    
     // Store references
     const lighthouse = {
         container,
         light,
         glow,
+        sparkles,
         name,
         color,
+        characteristic,
+        morseId: station.morseId || null,
+        morseCode,
         signalTimer: Math.floor(Math.random() * config.signalRate),
         blinkTimer: 0,
+        intensity: 1,
+        lit: true,
+        foghorn: null,
+        foghornTimer: Math.random() * config.foghorn.period,
+        activePulses: [],
         lightY, // Store light Y position for signal creation
         
         /**
@@ -137,27 +165,143 @@ function createLighthouse(x, y, name, color, config, state) {
          * @param {number} delta - Time elapsed
          */
         update(delta) {
-            // Blink the light
             this.blinkTimer += delta;
-            if (this.blinkTimer >= config.blinkRate) {
-                this.blinkTimer = 0;
+            
+            if (this.characteristic) {
+                // Follow the light's flash/eclipse pattern, easing between on and off
+                this.blinkTimer %= this.characteristic.period;
+                const target = isLightOn(this.characteristic, this.blinkTimer) ? 1 : 0.1;
+                this.intensity += (target - this.intensity) * Math.min(1, 0.5 * delta);
+            } else {
+                // No characteristic - pulse the light intensity
+                if (this.blinkTimer >= config.blinkRate) {
+                    this.blinkTimer = 0;
+                }
+                
+                const blinkPhase = this.blinkTimer / config.blinkRate;
+                this.intensity = 0.7 + Math.sin(blinkPhase * Math.PI * 2) * 0.3;
             }
             
-            // Pulse the light intensity
-            const blinkPhase = this.blinkTimer / config.blinkRate;
-            const intensity = 0.7 + Math.sin(blinkPhase * Math.PI * 2) * 0.3;
+            // Fog hides the lantern from distant vessels and spreads its glow
+            const fogFactor = this.getFogVisibility();
+            const fogDensity = state.weather.fogDensity || 0;
+            
+            light.alpha = this.intensity * fogFactor;
+            glow.alpha = this.intensity * 0.5 * Math.min(1, fogFactor + fogDensity * 0.3);
+            glow.scale.set(1 + fogDensity * 1.5);
             
-            light.alpha = intensity;
-            glow.alpha = intensity * 0.5;
+            // Sparkle as the light comes on, fewer when fog hides it
+            const lit = this.intensity > config.sparkles.threshold;
+            if (lit && !this.lit) {
+                sparkles.emit(Math.round(config.sparkles.burst * fogFactor), 0, lightY, {
+                    tints: [color, 0xFFFFFF]
+                });
+            }
+            this.lit = lit;
+            sparkles.update(delta);
             
-            // Handle signal creation
+            // Sound the foghorn while visibility is poor
+            this.updateFoghorn(delta);
+            
+            // Handle signal creation - broadcast to every vessel in range
             this.signalTimer += delta;
             if (this.signalTimer >= config.signalRate && !state.isZoomed) {
                 this.signalTimer = 0;
-                this.createSignal(state.entities.boat);
+                
+                state.entities.fleet.boats.forEach(boat => {
+                    const signal = this.createSignal(boat);
+                    if (signal) {
+                        state.registry.add('signal', signal);
+                    }
+                });
+            }
+        },
+        
+        /**
+         * How visible the lantern is from the selected vessel given current visibility
+         * @returns {number} - Visibility factor between 0 and 1
+         */
+        getFogVisibility() {
+            const visibility = state.weather.visibility !== undefined ? state.weather.visibility : 1;
+            const boat = state.entities.fleet.selected;
+            if (visibility >= 1 || !boat) return 1;
+            
+            const dx = boat.container.x - this.container.x;
+            const dy = boat.container.y - this.container.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            // Light fades exponentially through fog, faster the thicker it is
+            const lightRange = state.propagation.getRange();
+            return Math.max(0.05, Math.exp(-(1 - visibility) * 3 * distance / lightRange));
+        },
+        
+        /**
+         * Sound the foghorn periodically while visibility is below the threshold
+         * @param {number} delta - Time elapsed
+         */
+        updateFoghorn(delta) {
+            const visibility = state.weather.visibility !== undefined ? state.weather.visibility : 1;
+            
+            if (visibility < config.foghorn.visibilityThreshold) {
+                this.foghornTimer += delta;
+                if (this.foghornTimer >= config.foghorn.period) {
+                    this.foghornTimer = 0;
+                    this.soundFoghorn();
+                }
+            }
+            
+            // Update foghorn rings
+            for (let i = this.activePulses.length - 1; i >= 0; i--) {
+                const pulse = this.activePulses[i];
+                if (pulse.update(delta)) {
+                    pulse.destroy();
+                    this.activePulses.splice(i, 1);
+                }
             }
         },
         
+        /**
+         * Play this lighthouse's foghorn and show a sound ring
+         */
+        soundFoghorn() {
+            if (!this.foghorn) return;
+            
+            // Louder near the selected vessel, panned to where the lighthouse is on screen
+            const boat = state.entities.fleet.selected;
+            let volume = 1;
+            if (boat) {
+                const dx = boat.container.x - this.container.x;
+                const dy = boat.container.y - this.container.y;
+                volume = Math.max(0.2, 1 - Math.sqrt(dx * dx + dy * dy) / state.propagation.getRange());
+            }
+            
+            if (state.audio) {
+                state.audio.playFoghorn({
+                    pitch: this.foghorn.pitch,
+                    blasts: this.foghorn.blasts,
+                    duration: config.foghorn.blastDuration,
+                    volume,
+                    pan: (this.container.x / state.layout.width) * 2 - 1
+                });
+            }
+            
+            const pulse = new PulseSignal(0, 0, 0xDDDDDD, 90);
+            pulse.maxRadius = 80;
+            this.container.addChild(pulse.container);
+            this.activePulses.push(pulse);
+        },
+        
+        /**
+         * Get the position signals are transmitted from
+         * @returns {Object} - {x, y} of the lantern
+         */
+        getEmitterPosition() {
+            return {
+                x: this.container.x,
+                y: this.container.y + this.lightY // Use stored light Y position
+            };
+        },
+        
         /**
          * Create a signal from this lighthouse to the boat
          * @param {Object} boat - The boat object
@@ -166,14 +310,26 @@ function createLighthouse(x, y, name, color, config, state) {
         createSignal(boat) {
             if (!boat) return null;
             
-            // Create a sine wave signal
+            // Boats beyond the lighthouse's range can't be reached at all
+            const emitter = this.getEmitterPosition();
+            const receiver = boat.getReceiverPosition();
+            const distance = Math.sqrt(
+                Math.pow(receiver.x - emitter.x, 2) + 
+                Math.pow(receiver.y - emitter.y, 2)
+            );
+            
+            if (!state.propagation.isInRange(distance)) {
+                return null;
+            }
+            
+            // Create a signal keyed with the Morse ID that follows the boat until it arrives
             const signal = new Signal(
-                this.container.x,
-                this.container.y + this.lightY, // Use stored light Y position
-                boat.container.x,
-                boat.container.y - 20, // Boat receiver position
+                this,
+                boat,
                 this.color,
-                config.signalSpeed
+                state.propagation,
+                state.time,
+                this.morseCode ? { keying: morseToKeying(this.morseCode) } : null
             );
             
             // Add to effects layer
@@ -182,20 +338,6 @@ function createLighthouse(x, y, name, color, config, state) {
             return signal;
         },
         
-        /**
-         * Handle resize
-         * @param {number} width - New width
-         * @param {number} height - New height
-         */
-        resize(width, height) {
-            // Update position based on config
-            const pos = config.positions.find(p => p.name === this.name);
-            if (pos) {
-                this.container.x = width * pos.x;
-                this.container.y = height * pos.y;
-            }
-        },
-        
         /**
          * Create detailed view of lighthouse internals
          * @returns {PIXI.Container} - Detailed view container
@@ -262,6 +404,27 @@ function createLighthouse(x, y, name, color, config, state) {
                 schematic.addChild(component, label);
             });
             
+            // Add light characteristic and identifier
+            const identity = new PIXI.Text(
+                `Light: ${station.characteristic || 'Fixed'}   ID: ${this.morseId || '-'} ${this.morseCode ? `(${this.morseCode})` : ''}`, {
+                fontFamily: 'Arial',
+                fontSize: 12,
+                fill: 0xFFFFFF,
+                align: 'center'
+            });
+            identity.anchor.set(0.5, 0);
+            identity.position.set(0, 80);
+            
+            // Add the charted position
+            const position = new PIXI.Text(formatLatLon(state.geo.toLatLon(this.container)), {
+                fontFamily: 'Arial',
+                fontSize: 12,
+                fill: 0xFFFFFF,
+                align: 'center'
+            });
+            position.anchor.set(0.5, 0);
+            position.position.set(0, -100);
+            
             // Add description text
             const description = new PIXI.Text('This lighthouse contains a signal transmitter system\nthat sends precise timing signals to nearby vessels.', {
                 fontFamily: 'Arial',
@@ -273,7 +436,7 @@ function createLighthouse(x, y, name, color, config, state) {
             description.position.set(0, 100);
             
             // Combine all elements
-            detailContainer.addChild(bg, title, transmitter, transmitterLabel, schematic, description);
+            detailContainer.addChild(bg, title, position, transmitter, transmitterLabel, schematic, identity, description);
             
             return detailContainer;
         }
@@ -309,7 +472,7 @@ function zoomToLighthouse(lighthouse, state) {
     };
     
     // Fade out other elements
-    state.app.stage.children.forEach(layer => {
+    getSceneLayers(state.layers).forEach(layer => {
         if (layer instanceof PIXI.Container) {
             layer.children.forEach(child => {
                 if (child !== lighthouse.container) {
@@ -335,10 +498,14 @@ function zoomToLighthouse(lighthouse, state) {
     zoomedContainer.visible = true;
     zoomedContainer.alpha = 0;
     
-    // Zoom animation
-    gsap.to(lighthouse.container, {
+    // Zoom animation - towards the centre of the screen, wherever the camera is
+    const target = screenToWorld({
         x: state.app.screen.width / 2,
-        y: state.app.screen.height / 2 - 50,
+        y: state.app.screen.height / 2 - 50
+    });
+    gsap.to(lighthouse.container, {
+        x: target.x,
+        y: target.y,
         scale: lighthouse.container.scale.x * 2,
         duration: 1
     });
@@ -411,7 +578,7 @@ function exitDetailView(state) {
     });
     
     // Fade in other elements
-    state.app.stage.children.forEach(layer => {
+    getSceneLayers(state.layers).forEach(layer => {
         if (layer instanceof PIXI.Container) {
             layer.children.forEach(child => {
                 gsap.to(child, { alpha: 1, duration: 0.5 });
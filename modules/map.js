@@ -1,6 +1,10 @@
 // map.js - Handles terrain, water, and environmental effects
 
 import { AssetCache } from './assetLoader.js';
+import { screenToWorld } from './renderer.js';
+import { createEmitter } from './particles.js';
+import { generateTerrain, bakeTerrainTexture } from './terrainGenerator.js';
+import { WATER_VERTEX, WATER_FRAGMENT, createRippleTexture, createShoreTexture } from './waterShader.js';
 
 /**
  * Creates the map with terrain, water, and environmental features
@@ -8,15 +12,10 @@ import { AssetCache } from './assetLoader.js';
  * @returns {Object} - Map instance with update methods
  */
 export function createMap(state) {
-    const { app, layers } = state;
-    const { width, height } = app.screen;
+    const { layers, layout } = state;
+    const { width, height } = layout;
     
-    // Ensure config exists
-    const config = state.config && state.config.map ? state.config.map : {
-        terrain: { baseColor: 0x8B4513, accentColor: 0x6B8E23, pixelSize: 4 },
-        water: { baseColor: 0x1E90FF, waveColors: [0x4682B4], waveAmplitude: 3, waveSpeed: 0.02 },
-        weather: { rainChance: 0.002, rainDuration: 1800, windChangeChance: 0.001, maxWindIntensity: 5 }
-    };
+    const config = state.config.map;
     
     // Create containers for different map elements
     const terrainContainer = new PIXI.Container();
@@ -25,18 +24,18 @@ export function createMap(state) {
     
     layers.terrain.addChild(terrainContainer);
     layers.water.addChild(waterContainer);
-    layers.effects.addChild(weatherEffectsContainer);
+    layers.weather.addChild(weatherEffectsContainer);
     
     // Create terrain
     const terrain = createTerrain(width, height, config.terrain, state);
     terrainContainer.addChild(terrain.container);
     
     // Create water
-    const water = createWater(width, height, config.water);
+    const water = createWater(width, height, config.water, state, terrain);
     waterContainer.addChild(water.container);
     
     // Weather system
-    const weather = createWeatherSystem(width, height, config.weather);
+    const weather = createWeatherSystem(width, height, config.weather, state);
     weatherEffectsContainer.addChild(weather.container);
     
     // Expose public methods and properties
@@ -46,6 +45,16 @@ export function createMap(state) {
         weather,
         coastline: terrain.coastline,
         
+        /**
+         * Check whether a point lies on land
+         * @param {number} x - X position
+         * @param {number} y - Y position
+         * @returns {boolean} - True if the point is on land
+         */
+        isLand(x, y) {
+            return terrain.isLand(x, y);
+        },
+        
         /**
          * Update map elements
          * @param {number} delta - Time elapsed since last update in frames
@@ -56,31 +65,9 @@ export function createMap(state) {
             
             // Update weather effects
             weather.update(delta, state.weather);
-        },
-        
-        /**
-         * Handle window resize
-         * @param {number} width - New width
-         * @param {number} height - New height
-         */
-        resize(width, height) {
-            // Resize terrain
-            terrain.resize(width, height);
-            
-            // Resize water
-            water.resize(width, height);
-            
-            // Resize weather effects
-            weather.resize(width, height);
         }
     };
     
-    // Listen for resize events
-    window.addEventListener('game-resize', (e) => {
-        const { width, height } = e.detail;
-        mapInstance.resize(width, height);
-    });
-    
     return mapInstance;
 }
 
@@ -97,8 +84,9 @@ function createTerrain(width, height, config, state) {
     let coastPoints = [];
     let land = null;
     let mapSprite = null;
+    let generated = null;
     
-    // Try to use the map texture from Image 3
+    // Try to use the map texture
     try {
         // Use the map image as background
         mapSprite = new PIXI.Sprite(AssetCache.getTexture('mapTexture'));
@@ -109,278 +97,147 @@ function createTerrain(width, height, config, state) {
         
         container.addChild(mapSprite);
         
-        // The coastline in Image 3 follows the green-blue transition
-        // Create points along this transition for lighthouse placement
+        // The real coastline (map.png only illustrates it), closed round the
+        // western (land) edge of the map
+        const bounds = state.geo.bounds;
         coastPoints = [
-            {x: 0, y: height},
-            {x: 0, y: height * 0.7},
-            {x: width * 0.2, y: height * 0.6},
-            {x: width * 0.3, y: height * 0.5},
-            {x: width * 0.32, y: height * 0.52}, // Constanta
-            {x: width * 0.33, y: height * 0.75}, // Agigea
-            {x: width * 0.35, y: height * 0.23}, // Navodari
-            {x: width * 0.4, y: height * 0.3},
-            {x: width * 0.45, y: height * 0.5},
-            {x: width * 0.5, y: height * 0.55},
-            {x: width, y: height * 0.8},
-            {x: width, y: height}
-        ];
+            { lat: bounds.north, lon: bounds.west },
+            ...state.config.map.coastline,
+            { lat: bounds.south, lon: bounds.west }
+        ].map(point => state.geo.toWorld(point));
         
         console.log("Using map texture for terrain");
         
     } catch (err) {
-        console.warn("Map texture not loaded, creating pixel art map similar to Image 3", err);
-        
-        // Create pixel art map similar to Image 3
-        land = new PIXI.Graphics();
-        
-        // Draw the water background first (blue gradient like in Image 3)
-        land.beginFill(0x1E4D8C); // Dark blue for deep water
-        land.drawRect(0, 0, width, height);
-        land.endFill();
-        
-        // Draw intermediate water depth (medium blue)
-        land.beginFill(0x2A6DB5);
-        // Create a shape to represent the medium depth water
-        land.moveTo(width * 0.4, 0);
-        land.lineTo(width * 0.6, height);
-        land.lineTo(width * 0.4, height);
-        land.lineTo(width * 0.3, 0);
-        land.endFill();
-        
-        // Draw shallow water (lighter blue)
-        land.beginFill(0x3A8ED4);
-        // Create a shape for shallow water along the coast
-        land.moveTo(width * 0.3, 0);
-        land.lineTo(width * 0.4, height);
-        land.lineTo(width * 0.2, height);
-        land.lineTo(width * 0.2, 0);
-        land.endFill();
-        
-        // Draw land (green with pixel variations like in Image 3)
-        land.beginFill(0x527B58); // Base green
-        
-        // Define coastline points - creating a shape similar to Image 3
-        coastPoints = [
-            {x: 0, y: height},
-            {x: 0, y: 0},
-            {x: width * 0.2, y: 0},
-            {x: width * 0.2, y: height * 0.6},
-            {x: width * 0.25, y: height * 0.5},
-            {x: width * 0.3, y: height * 0.55},
-            {x: width * 0.32, y: height * 0.52}, // Constanta
-            {x: width * 0.33, y: height * 0.75}, // Agigea
-            {x: width * 0.35, y: height * 0.23}, // Navodari
-            {x: width * 0.25, y: height * 0.2},
-            {x: width * 0.2, y: height * 0.1},
-            {x: width * 0.2, y: height},
-            {x: 0, y: height}
-        ];
+        console.warn("Map texture not loaded, generating the terrain", err);
         
-        // Draw the land
-        land.moveTo(coastPoints[0].x, coastPoints[0].y);
-        for (let i = 1; i < coastPoints.length; i++) {
-            land.lineTo(coastPoints[i].x, coastPoints[i].y);
-        }
-        land.endFill();
-        
-        // Add pixel detail to the land (small variations in green)
-        addPixelDetails(land, width, height, 0x527B58, 0x3F5B42, 0x6B9A73, 4);
-        
-        // Add some roads/paths (yellow lines like in Image 3)
-        const roads = new PIXI.Graphics();
-        roads.lineStyle(1, 0xF7D358, 0.8);
-        
-        // Main road
-        roads.moveTo(width * 0.02, height * 0.5);
-        roads.lineTo(width * 0.1, height * 0.45);
-        roads.lineTo(width * 0.15, height * 0.4);
-        roads.lineTo(width * 0.2, height * 0.3);
-        roads.lineTo(width * 0.25, height * 0.2);
-        
-        // Branch road 1
-        roads.moveTo(width * 0.15, height * 0.4);
-        roads.lineTo(width * 0.2, height * 0.5);
-        roads.lineTo(width * 0.25, height * 0.6);
-        
-        // Branch road 2
-        roads.moveTo(width * 0.1, height * 0.45);
-        roads.lineTo(width * 0.15, height * 0.6);
-        roads.lineTo(width * 0.2, height * 0.8);
-        
-        // Add small settlements (white dots)
-        roads.beginFill(0xFFFFFF);
-        roads.drawCircle(width * 0.02, height * 0.5, 2); // Starting point
-        roads.drawCircle(width * 0.25, height * 0.2, 2); // End point
-        roads.drawCircle(width * 0.15, height * 0.4, 2); // Junction
-        roads.drawCircle(width * 0.25, height * 0.6, 2); // End of branch 1
-        roads.drawCircle(width * 0.2, height * 0.8, 2); // End of branch 2
-        roads.endFill();
-        
-        land.addChild(roads);
+        // Follow the real coastline, so lighthouses and routes stay on the coast
+        const baseCoastline = state.config.map.coastline.map(point => state.geo.toWorld(point));
+        generated = generateTerrain(width, height, config, baseCoastline);
+        coastPoints = generated.coastline;
         
+        land = new PIXI.Sprite(bakeTerrainTexture(generated));
         container.addChild(land);
     }
     
     return {
         container,
         coastline: coastPoints,
+        generated, // Generated terrain (heights, settlements, roads), or null with the map image
         
         /**
-         * Handle resize event
-         * @param {number} newWidth - New width
-         * @param {number} newHeight - New height
+         * Check whether a point lies on land (inside the coastline polygon)
+         * @param {number} x - X position
+         * @param {number} y - Y position
+         * @returns {boolean} - True if the point is on land
          */
-        resize(newWidth, newHeight) {
-            if (mapSprite) {
-                // If using map texture, just resize it
-                mapSprite.width = newWidth;
-                mapSprite.height = newHeight;
-                
-                // Recalculate coastline points for proper positioning
-                const scaleX = newWidth / width;
-                const scaleY = newHeight / height;
-                
-                this.coastline = coastPoints.map(point => ({
-                    x: point.x * scaleX,
-                    y: point.y * scaleY
-                }));
-            } else if (land) {
-                // For generated terrain, we need to recreate it at the new size
-                container.removeChildren();
-                
-                const newLand = createTerrain(newWidth, newHeight, config, state);
-                container.addChild(newLand.container.children[0]);
-                
-                // Update coastline reference
-                this.coastline = newLand.coastline;
-            }
+        isLand(x, y) {
+            return generated ? generated.isLand(x, y) : isPointInPolygon(x, y, this.coastline);
         }
     };
 }
 
 /**
- * Add pixel detail to mimic the style in Image 3
- * @param {PIXI.Graphics} graphics - Graphics object to add details to
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
- * @param {number} baseColor - Base color
- * @param {number} darkColor - Darker variation
- * @param {number} lightColor - Lighter variation
- * @param {number} pixelSize - Size of the pixel details
+ * Even-odd point in polygon test
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {Array} polygon - [{x, y}] vertices
+ * @returns {boolean} - True if the point is inside
  */
-function addPixelDetails(graphics, width, height, baseColor, darkColor, lightColor, pixelSize) {
-    // Add noise to the land to create a pixelated effect similar to Image 3
-    // This will create small squares of varying green shades
+function isPointInPolygon(x, y, polygon) {
+    let inside = false;
     
-    // Create a container for the pixels
-    const pixelContainer = new PIXI.Container();
-    graphics.addChild(pixelContainer);
-    
-    // Only add pixels to the land area (left side of the screen)
-    for (let x = 0; x < width * 0.35; x += pixelSize) {
-        for (let y = 0; y < height; y += pixelSize) {
-            // Random chance to draw a pixel
-            if (Math.random() < 0.2) {
-                const pixel = new PIXI.Graphics();
-                // Randomly choose from 3 colors to create variation
-                const colorChoice = Math.random();
-                let pixelColor;
-                
-                if (colorChoice < 0.3) {
-                    pixelColor = darkColor; // Darker green
-                } else if (colorChoice < 0.7) {
-                    pixelColor = baseColor; // Base green
-                } else {
-                    pixelColor = lightColor; // Lighter green
-                }
-                
-                pixel.beginFill(pixelColor);
-                pixel.drawRect(x, y, pixelSize, pixelSize);
-                pixel.endFill();
-                
-                pixelContainer.addChild(pixel);
-            }
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
         }
     }
+    
+    return inside;
 }
 
 /**
- * Creates water with animated waves
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
+ * Creates the animated water: a shader over the sea that lights scrolling
+ * normal-map ripples in a few pixel-art levels, runs them downwind, washes
+ * surf along the coastline and reflects the sky, sun and moon
+ * @param {number} width - Map width
+ * @param {number} height - Map height
  * @param {Object} config - Water configuration
+ * @param {Object} state - Global application state (weather, camera)
+ * @param {Object} terrain - Terrain, for where the land is
  * @returns {Object} - Water object with container and methods
  */
-function createWater(width, height, config) {
+function createWater(width, height, config, state, terrain) {
     const container = new PIXI.Container();
+    const settings = config.shader;
     
-    // Create waves (will be animated)
-    const waves = [];
-    const waveContainer = new PIXI.Container();
-    
-    // For better performance, only add waves to the right side (water area)
-    const waterStartX = width * 0.3; // Start waves at 30% of screen width
-    
-    // Create several wave lines
-    for (let i = 0; i < 3; i++) {
-        const wave = new PIXI.Graphics();
-        const waveColor = config.waveColors[i % config.waveColors.length];
-        wave.lineStyle(2, waveColor, 0.3); // More transparent to match Image 3
-        
-        // Store wave properties
-        const waveProps = {
-            y: height * (0.3 + i * 0.2), // Distribute waves vertically
-            amplitude: config.waveAmplitude * (1 + i * 0.2), // Vary amplitude
-            frequency: config.waveSpeed * (1 - i * 0.1), // Vary frequency
-            phase: 0, // Current phase (will be animated)
-            startX: waterStartX // Start position
-        };
-        
-        waves.push({ graphics: wave, props: waveProps });
-        waveContainer.addChild(wave);
-    }
+    const shoreTexture = createShoreTexture(width, height, (x, y) => terrain.isLand(x, y), settings.shoreCellSize, settings.foamWidth);
+    const rippleTexture = createRippleTexture(settings.seed);
     
-    container.addChild(waveContainer);
+    const uniforms = {
+        uShore: shoreTexture,
+        uRipples: rippleTexture,
+        uSize: [width, height],
+        uPixelSize: settings.pixelSize,
+        uLevels: settings.levels,
+        uRippleScale: settings.rippleScale,
+        uRippleStrength: settings.rippleStrength,
+        uWind: [1, 0],
+        uOffset: [0, 0],
+        uLight: [-Math.SQRT1_2, -Math.SQRT1_2],
+        uTime: 0,
+        uFoamSpeed: settings.foamSpeed,
+        uFoamColor: new PIXI.Color(settings.foamColor).toRgbArray(),
+        uFoamStrength: settings.foamStrength,
+        uSkyColor: [1, 1, 1],
+        uSkyStrength: 0,
+        uSun: [0, 0, 0],
+        uSunColor: new PIXI.Color(settings.sunColor).toRgbArray(),
+        uMoon: [0, 0, 0],
+        uMoonColor: new PIXI.Color(settings.moonColor).toRgbArray(),
+        uReflectionSize: [settings.reflectionWidth, settings.reflectionLength],
+        uGlint: settings.glint
+    };
     
-    // Create water reflections for day/night cycle
-    const reflectionOverlay = new PIXI.Graphics();
-    reflectionOverlay.beginFill(0xFFFFFF, 0.1);
-    reflectionOverlay.drawRect(waterStartX, 0, width - waterStartX, height);
-    reflectionOverlay.endFill();
-    reflectionOverlay.alpha = 0.1; // Subtle reflection
+    // One quad over the map, drawn by the water shader
+    const geometry = new PIXI.Geometry()
+        .addAttribute('aVertexPosition', [0, 0, width, 0, width, height, 0, height], 2)
+        .addAttribute('aUvs', [0, 0, 1, 0, 1, 1, 0, 1], 2)
+        .addIndex([0, 1, 2, 0, 2, 3]);
+    const mesh = new PIXI.Mesh(geometry, PIXI.Shader.from(WATER_VERTEX, WATER_FRAGMENT, uniforms));
+    container.addChild(mesh);
     
-    container.addChild(reflectionOverlay);
+    // Wind direction the ripples have turned to so far
+    let windDirection = state.weather ? state.weather.windDirection : 0;
     
     return {
         container,
-        waves,
-        reflectionOverlay,
+        mesh,
+        uniforms,
         
         /**
          * Update water animation
          * @param {number} delta - Time elapsed
          */
         update(delta) {
-            // Animate each wave
-            waves.forEach(wave => {
-                const { graphics, props } = wave;
-                
-                // Update phase
-                props.phase += props.frequency * delta * 0.01;
-                
-                // Redraw wave
-                graphics.clear();
-                graphics.lineStyle(1, config.waveColors[0], 0.3);
-                
-                graphics.moveTo(props.startX, props.y);
-                
-                // Draw wave points
-                for (let x = props.startX; x <= width; x += 4) { // Step by 4 for pixel look
-                    const y = props.y + Math.sin(x * 0.02 + props.phase) * props.amplitude;
-                    graphics.lineTo(x, y);
-                }
-            });
+            const weather = state.weather || { windIntensity: 0, windDirection: 0 };
+            
+            // Turn the ripples towards the wind the short way round, at a pace the eye can follow
+            const turn = Math.atan2(Math.sin(weather.windDirection - windDirection), Math.cos(weather.windDirection - windDirection));
+            windDirection += turn * Math.min(1, settings.windTurnRate * delta);
+            uniforms.uWind = [Math.cos(windDirection), Math.sin(windDirection)];
+            
+            // Ripples run downwind, faster in a stronger wind; the short ones lag.
+            // Offsets wrap at the pattern's repeat to keep shader precision.
+            const speed = settings.rippleSpeed + settings.windSpeed * weather.windIntensity;
+            uniforms.uOffset = [
+                (uniforms.uOffset[0] + speed * delta) % settings.rippleScale,
+                (uniforms.uOffset[1] + speed * 0.6 * delta) % (settings.rippleScale * 0.63)
+            ];
+            uniforms.uTime = state.time;
         },
         
         /**
@@ -389,32 +246,32 @@ function createWater(width, height, config) {
          * @param {number} color - Reflection color
          */
         setReflection(intensity, color) {
-            reflectionOverlay.clear();
-            reflectionOverlay.beginFill(color, 0.1);
-            reflectionOverlay.drawRect(width * 0.3, 0, width * 0.7, height);
-            reflectionOverlay.endFill();
-            reflectionOverlay.alpha = intensity * 0.2; // Keep subtle
+            uniforms.uSkyColor = new PIXI.Color(color).toRgbArray();
+            uniforms.uSkyStrength = intensity * settings.skyReflection;
         },
         
         /**
-         * Handle resize event
-         * @param {number} newWidth - New width
-         * @param {number} newHeight - New height
+         * Reflect the sun and moon: a column of glints below each, and light on the
+         * ripples from whichever is stronger
+         * @param {Object} sun - {x, y} position in the sky layer, and strength (0-1)
+         * @param {Object} moon - {x, y} position in the sky layer, and strength (0-1)
          */
-        resize(newWidth, newHeight) {
-            const waterStartX = newWidth * 0.3;
+        setCelestialReflections(sun, moon) {
+            // The sky doesn't move with the camera: find the map position under each body
+            const toMap = (position) => state.camera ?
+                state.camera.screenToWorld(state.layout.toScreen(position)) :
+                position;
+            const sunOnMap = toMap(sun);
+            const moonOnMap = toMap(moon);
             
-            // Resize waves (will be redrawn in next update)
-            waves.forEach((wave, i) => {
-                wave.props.y = newHeight * (0.3 + i * 0.2);
-                wave.props.startX = waterStartX;
-            });
+            uniforms.uSun = [sunOnMap.x, sunOnMap.y, sun.strength * settings.sunReflection];
+            uniforms.uMoon = [moonOnMap.x, moonOnMap.y, moon.strength * settings.moonReflection];
             
-            // Resize reflection overlay
-            reflectionOverlay.clear();
-            reflectionOverlay.beginFill(0xFFFFFF, 0.1);
-            reflectionOverlay.drawRect(waterStartX, 0, newWidth - waterStartX, newHeight);
-            reflectionOverlay.endFill();
+            const light = sun.strength >= moon.strength ? sunOnMap : moonOnMap;
+            const dx = light.x - width / 2;
+            const dy = light.y - height / 2;
+            const length = Math.hypot(dx, dy) || 1;
+            uniforms.uLight = [dx / length, dy / length];
         }
     };
 }
@@ -424,9 +281,10 @@ function createWater(width, height, config) {
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @param {Object} config - Weather configuration
+ * @param {Object} state - Global state for the renderer and assets
  * @returns {Object} - Weather object with container and methods
  */
-function createWeatherSystem(width, height, config) {
+function createWeatherSystem(width, height, config, state) {
     const container = new PIXI.Container();
     
     // Wind indicator (invisible, only for debug)
@@ -438,46 +296,335 @@ function createWeatherSystem(width, height, config) {
     windIndicator.x = width * 0.9;
     windIndicator.y = height * 0.1;
     
-    container.addChild(windIndicator);
+    // Rain drops share one texture; sprites are recycled rather than recreated
+    const rainContainer = new PIXI.Container();
+    const rainTexture = getRainTexture(state.app);
+    const drops = [];
+    
+    // Splashes where drops land on the water: an expanding ring and a few droplets
+    const splashRings = config.splash ? createEmitter(state.app, rainContainer, config.splash.rings) : null;
+    const splashDroplets = config.splash ? createEmitter(state.app, rainContainer, config.splash.droplets) : null;
+    
+    // Fog is two tiling layers of soft noise drifting with the wind at different speeds
+    const fogTexture = getFogTexture();
+    const fogLayers = [0.6, 1].map(scale => {
+        const layer = new PIXI.TilingSprite(fogTexture, width, height);
+        layer.tileScale.set(scale * 2);
+        layer.driftFactor = scale;
+        layer.alpha = 0;
+        return layer;
+    });
+    
+    container.addChild(rainContainer, ...fogLayers, windIndicator);
+    
+    // Weather state machine
+    let condition = 'clear';
+    let conditionTimer = 0;
+    const windTarget = { intensity: 0, direction: 0 };
     
     return {
         container,
         windIndicator,
         
+        /**
+         * Current weather condition ('clear', 'raining' or 'fog')
+         */
+        get condition() {
+            return condition;
+        },
+        
         /**
          * Update weather effects
          * @param {number} delta - Time elapsed
-         * @param {Object} weather - Current weather state
+         * @param {Object} weather - Current weather state (written to)
          */
         update(delta, weather) {
+            if (!weather) return;
+            
+            // Advance the state machine
+            conditionTimer -= delta;
+            
+            switch (condition) {
+                case 'clear':
+                    if (Math.random() < config.rainChance * delta) {
+                        this.startRain();
+                    } else if (Math.random() < config.fogChance * delta) {
+                        this.startFog();
+                    }
+                    break;
+                    
+                case 'raining':
+                    if (conditionTimer <= 0) {
+                        this.stopRain();
+                    }
+                    break;
+                    
+                case 'fog':
+                    if (conditionTimer <= 0) {
+                        this.stopFog();
+                    }
+                    break;
+            }
+            
+            // Ease rain and fog in and out rather than switching instantly
+            const transition = Math.min(1, config.transitionSpeed * delta);
+            const rainTarget = condition === 'raining' ? 1 : 0;
+            const fogTarget = condition === 'fog' ? 1 : 0;
+            weather.rainIntensity = weather.rainIntensity || 0;
+            weather.rainIntensity += (rainTarget - weather.rainIntensity) * transition;
+            weather.fogDensity = weather.fogDensity || 0;
+            weather.fogDensity += (fogTarget - weather.fogDensity) * transition;
+            weather.isRaining = condition === 'raining';
+            weather.isFoggy = condition === 'fog';
+            weather.condition = condition;
+            
+            // Visibility (0-1): thick fog brings it right down, rain a little
+            weather.visibility = 1 
+                - weather.fogDensity * (1 - config.fogVisibility) 
+                - weather.rainIntensity * 0.2;
+            
+            // Occasionally pick a new wind, stronger while it rains
+            if (Math.random() < config.windChangeChance * delta) {
+                this.changeWind();
+            }
+            
+            // Ease wind towards its target, turning the shortest way round
+            const ease = Math.min(1, config.transitionSpeed * delta);
+            let directionDifference = windTarget.direction - (weather.windDirection || 0);
+            while (directionDifference > Math.PI) directionDifference -= Math.PI * 2;
+            while (directionDifference < -Math.PI) directionDifference += Math.PI * 2;
+            
+            weather.windDirection = (weather.windDirection || 0) + directionDifference * ease;
+            weather.windIntensity = (weather.windIntensity || 0) + (windTarget.intensity - (weather.windIntensity || 0)) * ease;
+            
             // Update wind indicator
-            if (weather) {
-                windIndicator.rotation = weather.windDirection || 0;
-                windIndicator.scale.x = (weather.windIntensity || 0) / config.maxWindIntensity;
+            windIndicator.rotation = weather.windDirection;
+            windIndicator.scale.x = weather.windIntensity / config.maxWindIntensity;
+            
+            this.updateRain(delta, weather);
+            this.updateFog(delta, weather);
+        },
+        
+        /**
+         * Start a rain shower lasting around the configured duration
+         */
+        startRain() {
+            condition = 'raining';
+            conditionTimer = config.rainDuration * (0.5 + Math.random());
+            console.log('Rain starting');
+            
+            // Showers usually bring wind with them
+            this.changeWind(0.5);
+        },
+        
+        /**
+         * End the current rain shower
+         */
+        stopRain() {
+            condition = 'clear';
+            conditionTimer = 0;
+            console.log('Rain stopping');
+        },
+        
+        /**
+         * Roll in a bank of fog lasting around the configured duration
+         */
+        startFog() {
+            condition = 'fog';
+            conditionTimer = config.fogDuration * (0.5 + Math.random());
+            console.log('Fog rolling in');
+            
+            // Fog forms in calm air
+            windTarget.intensity = Math.min(windTarget.intensity, config.maxWindIntensity * 0.2);
+        },
+        
+        /**
+         * Let the fog clear
+         */
+        stopFog() {
+            condition = 'clear';
+            conditionTimer = 0;
+            console.log('Fog clearing');
+        },
+        
+        /**
+         * Pick a new wind target
+         * @param {number} minimum - Minimum intensity as a fraction of the maximum
+         */
+        changeWind(minimum = 0) {
+            const rainBoost = condition === 'raining' ? 0.3 : 0;
+            const fogLimit = condition === 'fog' ? 0.2 : 1;
+            const fraction = Math.min(fogLimit, Math.max(minimum, Math.random() * 0.7 + rainBoost));
+            
+            windTarget.intensity = fraction * config.maxWindIntensity;
+            windTarget.direction = Math.random() * Math.PI * 2;
+        },
+        
+        /**
+         * Animate rain drops, adding or retiring them to match the rain intensity
+         * @param {number} delta - Time elapsed
+         * @param {Object} weather - Current weather state
+         */
+        updateRain(delta, weather) {
+            const targetCount = Math.floor(config.maxRainDrops * weather.rainIntensity);
+            
+            // Wind pushes the drops sideways
+            const windX = Math.cos(weather.windDirection) * weather.windIntensity * 0.6;
+            const fallSpeed = config.rainSpeed;
+            
+            // Spawn new drops anywhere on screen so a shower fills in quickly
+            while (drops.length < targetCount) {
+                const drop = new PIXI.Sprite(rainTexture);
+                drop.anchor.set(0.5);
+                drop.alpha = 0.3 + Math.random() * 0.4;
+                drop.speed = fallSpeed * (0.8 + Math.random() * 0.4);
+                drop.position.set(Math.random() * width, Math.random() * height);
+                drop.landY = drop.y + Math.random() * (height - drop.y);
+                rainContainer.addChild(drop);
+                drops.push(drop);
+            }
+            
+            for (let i = drops.length - 1; i >= 0; i--) {
+                const drop = drops[i];
+                
+                drop.x += windX * delta;
+                drop.y += drop.speed * delta;
+                drop.rotation = Math.atan2(drop.speed, windX) - Math.PI / 2;
+                
+                // Landed: splash if it came down on open water
+                const landed = drop.y >= drop.landY;
+                if (landed) {
+                    this.splash(drop.x, drop.landY, windX);
+                }
+                
+                // Landed or off screen: retire surplus drops, recycle the rest at the top
+                if (landed || drop.y > height || drop.x < -20 || drop.x > width + 20) {
+                    if (drops.length > targetCount) {
+                        rainContainer.removeChild(drop);
+                        drop.destroy();
+                        drops.splice(i, 1);
+                    } else {
+                        drop.y = -10;
+                        drop.x = Math.random() * (width + 40) - 20;
+                        drop.landY = Math.random() * height;
+                    }
+                }
+            }
+            
+            if (splashRings) {
+                splashRings.update(delta);
+                splashDroplets.update(delta);
             }
         },
         
         /**
-         * Set weather conditions
-         * @param {boolean} isRaining - Whether it's raining
-         * @param {number} windIntensity - Wind intensity
-         * @param {number} windDirection - Wind direction in radians
+         * Splash a landing rain drop, if it hit the water
+         * @param {number} x - View x where the drop landed
+         * @param {number} y - View y where the drop landed
+         * @param {number} windX - Sideways wind push in pixels per frame
+         */
+        splash(x, y, windX) {
+            if (!splashRings || Math.random() >= config.splash.chance) return;
+            
+            const map = state.entities.map;
+            const world = screenToWorld(state.layout.toScreen({ x, y }));
+            if (map && map.isLand(world.x, world.y)) return;
+            
+            splashRings.emit(1, x, y);
+            
+            // Droplets kick up and lean downwind
+            const lean = Math.max(-0.6, Math.min(0.6, windX * 0.2));
+            splashDroplets.emit(config.splash.dropletCount, x, y, {
+                angle: [-Math.PI / 2 + lean - 0.7, -Math.PI / 2 + lean + 0.7]
+            });
+        },
+        
+        /**
+         * Drift the fog layers with the wind and fade them with fog density
+         * @param {number} delta - Time elapsed
+         * @param {Object} weather - Current weather state
          */
-        setWeather(windIntensity, windDirection) {
-            // Just update wind for now, since we're not using rain
-            this.windIntensity = windIntensity;
-            this.windDirection = windDirection;
+        updateFog(delta, weather) {
+            // A little drift even in still air so the fog never looks frozen
+            const drift = config.fogDriftSpeed * (weather.windIntensity + 1);
+            const driftX = Math.cos(weather.windDirection) * drift;
+            const driftY = Math.sin(weather.windDirection) * drift;
+            
+            fogLayers.forEach(layer => {
+                layer.tilePosition.x += driftX * layer.driftFactor * delta;
+                layer.tilePosition.y += driftY * layer.driftFactor * delta;
+                layer.alpha = weather.fogDensity * 0.55;
+                layer.visible = layer.alpha > 0.01;
+            });
         },
         
         /**
-         * Handle resize event
-         * @param {number} newWidth - New width
-         * @param {number} newHeight - New height
+         * Set weather conditions
+         * @param {number} windIntensity - Wind intensity
+         * @param {number} windDirection - Wind direction in radians
+         * @param {boolean} isRaining - Whether it should be raining
          */
-        resize(newWidth, newHeight) {
-            // Update wind indicator position
-            windIndicator.x = newWidth * 0.9;
-            windIndicator.y = newHeight * 0.1;
+        setWeather(windIntensity, windDirection, isRaining) {
+            windTarget.intensity = windIntensity;
+            windTarget.direction = windDirection;
+            
+            if (isRaining === true && condition !== 'raining') {
+                this.startRain();
+            } else if (isRaining === false && condition === 'raining') {
+                this.stopRain();
+            }
         }
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Get the rain drop texture, drawing a streak if no rain texture was loaded
+ * @param {PIXI.Application} app - The PixiJS application
+ * @returns {PIXI.Texture} - Rain drop texture
+ */
+function getRainTexture(app) {
+    if (AssetCache.hasTexture('rainTexture')) {
+        return AssetCache.getTexture('rainTexture');
+    }
+    
+    const streak = new PIXI.Graphics();
+    streak.beginFill(0xAEC6E8);
+    streak.drawRect(0, 0, 1, 6);
+    streak.endFill();
+    
+    const texture = app.renderer.generateTexture(streak);
+    streak.destroy();
+    
+    return texture;
+}
+
+/**
+ * Draw a tileable texture of soft fog blobs
+ * @returns {PIXI.Texture} - Fog texture
+ */
+function getFogTexture() {
+    const size = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    
+    for (let i = 0; i < 40; i++) {
+        const x = Math.random() * size;
+        const y = Math.random() * size;
+        const radius = 20 + Math.random() * 50;
+        
+        // Repeat each blob across the edges so the texture tiles seamlessly
+        for (const ox of [-size, 0, size]) {
+            for (const oy of [-size, 0, size]) {
+                const gradient = ctx.createRadialGradient(x + ox, y + oy, 0, x + ox, y + oy, radius);
+                gradient.addColorStop(0, 'rgba(220, 225, 230, 0.35)');
+                gradient.addColorStop(1, 'rgba(220, 225, 230, 0)');
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x + ox - radius, y + oy - radius, radius * 2, radius * 2);
+            }
+        }
+    }
+    
+    return PIXI.Texture.from(canvas);
+}
@@ -0,0 +1,344 @@
+// navigation.js - Water grid built from the coastline and A* route planning
+
+// Neighbour offsets: 4 straight moves then 4 diagonals
+const NEIGHBOURS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+/**
+ * Creates the navigation grid used to route vessels around land
+ * @param {Object} state - Global application state
+ * @returns {Object} - Navigation system
+ */
+export function createNavigation(state) {
+    const config = state.config.navigation;
+    
+    const navigation = {
+        cellSize: config.cellSize,
+        columns: 0,
+        rows: 0,
+        // 1 = navigable water, 0 = land or too close to it
+        cells: null,
+        
+        /**
+         * Rebuild the grid from the map's coastline and the lighthouses
+         * @param {number} width - Map width
+         * @param {number} height - Map height
+         */
+        rebuild(width, height) {
+            const map = state.entities.map;
+            this.columns = Math.ceil(width / this.cellSize);
+            this.rows = Math.ceil(height / this.cellSize);
+            
+            // Sample the centre of each cell against the coastline polygon
+            const land = new Uint8Array(this.columns * this.rows);
+            for (let row = 0; row < this.rows; row++) {
+                for (let column = 0; column < this.columns; column++) {
+                    const x = (column + 0.5) * this.cellSize;
+                    const y = (row + 0.5) * this.cellSize;
+                    land[row * this.columns + column] = map && map.isLand(x, y) ? 1 : 0;
+                }
+            }
+            
+            // Lighthouse towers are obstacles too, even where the coastline's 1 km
+            // detail leaves them just offshore
+            (state.entities.lighthouses || []).forEach(lighthouse => {
+                const column = Math.floor(lighthouse.container.x / this.cellSize);
+                const row = Math.floor(lighthouse.container.y / this.cellSize);
+                if (column >= 0 && row >= 0 && column < this.columns && row < this.rows) {
+                    land[row * this.columns + column] = 1;
+                }
+            });
+            
+            // Keep a clearance band of cells off the shore
+            this.cells = new Uint8Array(this.columns * this.rows);
+            for (let row = 0; row < this.rows; row++) {
+                for (let column = 0; column < this.columns; column++) {
+                    this.cells[row * this.columns + column] = this.isNearLand(land, column, row) ? 0 : 1;
+                }
+            }
+        },
+        
+        /**
+         * Check whether any land lies within the clearance of a cell
+         * @param {Uint8Array} land - Land mask
+         * @param {number} column - Cell column
+         * @param {number} row - Cell row
+         * @returns {boolean} - True if land is within clearance
+         */
+        isNearLand(land, column, row) {
+            const clearance = config.clearance;
+            
+            for (let dy = -clearance; dy <= clearance; dy++) {
+                for (let dx = -clearance; dx <= clearance; dx++) {
+                    const c = column + dx;
+                    const r = row + dy;
+                    if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) continue;
+                    if (land[r * this.columns + c]) return true;
+                }
+            }
+            
+            return false;
+        },
+        
+        /**
+         * Check whether a grid cell is navigable
+         * @param {number} column - Cell column
+         * @param {number} row - Cell row
+         * @returns {boolean} - True if the cell is open water
+         */
+        isOpen(column, row) {
+            if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) return false;
+            return this.cells[row * this.columns + column] === 1;
+        },
+        
+        /**
+         * Check whether a map position is navigable water
+         * @param {number} x - X position
+         * @param {number} y - Y position
+         * @returns {boolean} - True if a vessel may be there
+         */
+        isWater(x, y) {
+            return this.isOpen(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+        },
+        
+        /**
+         * Find the closest navigable cell to a position (breadth-first search)
+         * @param {Object} point - {x, y} map position
+         * @returns {Object|null} - {column, row} or null if there is no water at all
+         */
+        nearestOpenCell(point) {
+            const start = {
+                column: Math.max(0, Math.min(this.columns - 1, Math.floor(point.x / this.cellSize))),
+                row: Math.max(0, Math.min(this.rows - 1, Math.floor(point.y / this.cellSize)))
+            };
+            if (this.isOpen(start.column, start.row)) return start;
+            
+            const visited = new Uint8Array(this.columns * this.rows);
+            const queue = [start];
+            visited[start.row * this.columns + start.column] = 1;
+            
+            for (let i = 0; i < queue.length; i++) {
+                const cell = queue[i];
+                if (this.isOpen(cell.column, cell.row)) return cell;
+                
+                NEIGHBOURS.slice(0, 4).forEach(([dx, dy]) => {
+                    const column = cell.column + dx;
+                    const row = cell.row + dy;
+                    if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) return;
+                    if (visited[row * this.columns + column]) return;
+                    visited[row * this.columns + column] = 1;
+                    queue.push({ column, row });
+                });
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Plan a route through open water (A* on the grid, then smoothed)
+         * @param {Object} from - {x, y} start position
+         * @param {Object} to - {x, y} destination
+         * @returns {Array|null} - [{x, y}] waypoints ending at the destination, or null if unreachable
+         */
+        findPath(from, to) {
+            const start = this.nearestOpenCell(from);
+            const goal = this.nearestOpenCell(to);
+            if (!start || !goal) return null;
+            
+            const destination = this.isWater(to.x, to.y) ? { x: to.x, y: to.y } : this.cellCentre(goal);
+            
+            // Straight line is clear - no need to search
+            if (this.hasLineOfSight(from, destination)) {
+                return [destination];
+            }
+            
+            const index = (column, row) => row * this.columns + column;
+            const goalIndex = index(goal.column, goal.row);
+            const cost = new Float32Array(this.columns * this.rows).fill(Infinity);
+            const cameFrom = new Int32Array(this.columns * this.rows).fill(-1);
+            const closed = new Uint8Array(this.columns * this.rows);
+            const open = createHeap();
+            
+            // Octile distance - exact for 8-connected moves without obstacles
+            const heuristic = (column, row) => {
+                const dx = Math.abs(column - goal.column);
+                const dy = Math.abs(row - goal.row);
+                return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+            };
+            
+            const startIndex = index(start.column, start.row);
+            cost[startIndex] = 0;
+            open.push(startIndex, heuristic(start.column, start.row));
+            
+            while (open.size() > 0) {
+                const current = open.pop();
+                if (current === goalIndex) break;
+                if (closed[current]) continue;
+                closed[current] = 1;
+                
+                const column = current % this.columns;
+                const row = Math.floor(current / this.columns);
+                
+                NEIGHBOURS.forEach(([dx, dy]) => {
+                    const c = column + dx;
+                    const r = row + dy;
+                    if (!this.isOpen(c, r)) return;
+                    
+                    // Don't cut corners past land
+                    if (dx !== 0 && dy !== 0 && (!this.isOpen(column + dx, row) || !this.isOpen(column, row + dy))) return;
+                    
+                    const next = index(c, r);
+                    const newCost = cost[current] + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                    if (newCost < cost[next]) {
+                        cost[next] = newCost;
+                        cameFrom[next] = current;
+                        open.push(next, newCost + heuristic(c, r));
+                    }
+                });
+            }
+            
+            if (cameFrom[goalIndex] === -1 && goalIndex !== startIndex) {
+                return null;
+            }
+            
+            // Walk back from the goal
+            const cells = [];
+            for (let current = goalIndex; current !== -1; current = cameFrom[current]) {
+                cells.unshift(this.cellCentre({
+                    column: current % this.columns,
+                    row: Math.floor(current / this.columns)
+                }));
+            }
+            cells[cells.length - 1] = destination;
+            
+            return this.smoothPath(from, cells);
+        },
+        
+        /**
+         * Drop waypoints that can be skipped in a straight line (string pulling)
+         * @param {Object} from - {x, y} start position
+         * @param {Array} points - Waypoints from the grid search
+         * @returns {Array} - Smoothed waypoints
+         */
+        smoothPath(from, points) {
+            const smoothed = [];
+            let anchor = from;
+            let i = 0;
+            
+            while (i < points.length) {
+                // Furthest point still visible from the anchor
+                let furthest = i;
+                for (let j = points.length - 1; j > i; j--) {
+                    if (this.hasLineOfSight(anchor, points[j])) {
+                        furthest = j;
+                        break;
+                    }
+                }
+                
+                smoothed.push(points[furthest]);
+                anchor = points[furthest];
+                i = furthest + 1;
+            }
+            
+            return smoothed;
+        },
+        
+        /**
+         * Check whether a straight course between two points stays in open water
+         * @param {Object} a - {x, y} start
+         * @param {Object} b - {x, y} end
+         * @returns {boolean} - True if every point along the way is navigable
+         */
+        hasLineOfSight(a, b) {
+            const distance = Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+            const steps = Math.max(1, Math.ceil(distance / (this.cellSize / 2)));
+            
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                if (!this.isWater(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t)) {
+                    return false;
+                }
+            }
+            
+            return true;
+        },
+        
+        /**
+         * Get the map position at the centre of a cell
+         * @param {Object} cell - {column, row}
+         * @returns {Object} - {x, y}
+         */
+        cellCentre(cell) {
+            return {
+                x: (cell.column + 0.5) * this.cellSize,
+                y: (cell.row + 0.5) * this.cellSize
+            };
+        }
+    };
+    
+    navigation.rebuild(state.layout.width, state.layout.height);
+    
+    return navigation;
+}
+
+/**
+ * Minimal binary min-heap of indices keyed by priority
+ * @returns {Object} - Heap with push, pop and size
+ */
+function createHeap() {
+    const items = [];
+    const priorities = [];
+    
+    const swap = (i, j) => {
+        [items[i], items[j]] = [items[j], items[i]];
+        [priorities[i], priorities[j]] = [priorities[j], priorities[i]];
+    };
+    
+    return {
+        push(item, priority) {
+            items.push(item);
+            priorities.push(priority);
+            
+            // Sift up
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (priorities[parent] <= priorities[i]) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        
+        pop() {
+            const top = items[0];
+            const lastItem = items.pop();
+            const lastPriority = priorities.pop();
+            
+            if (items.length > 0) {
+                items[0] = lastItem;
+                priorities[0] = lastPriority;
+                
+                // Sift down
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && priorities[left] < priorities[smallest]) smallest = left;
+                    if (right < items.length && priorities[right] < priorities[smallest]) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            
+            return top;
+        },
+        
+        size() {
+            return items.length;
+        }
+    };
+}
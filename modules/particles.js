@@ -0,0 +1,272 @@
+// particles.js - Pooled particle emitters with shared, pre-baked textures
+
+// Particle shapes, each baked once into a white texture and tinted per particle
+const TEXTURE_SHAPES = {
+    // Soft round droplet
+    droplet: (graphics) => {
+        graphics.beginFill(0xFFFFFF, 0.4);
+        graphics.drawCircle(8, 8, 8);
+        graphics.endFill();
+        graphics.beginFill(0xFFFFFF, 1);
+        graphics.drawCircle(8, 8, 5);
+        graphics.endFill();
+    },
+    // Four-pointed glint
+    spark: (graphics) => {
+        graphics.beginFill(0xFFFFFF, 1);
+        graphics.drawPolygon([8, 0, 9.5, 6.5, 16, 8, 9.5, 9.5, 8, 16, 6.5, 9.5, 0, 8, 6.5, 6.5]);
+        graphics.endFill();
+    },
+    // Thin ring for splashes
+    ring: (graphics) => {
+        graphics.lineStyle(1.5, 0xFFFFFF, 1);
+        graphics.drawCircle(8, 8, 6.5);
+    }
+};
+
+// Baked textures, shared by every emitter for the lifetime of the renderer
+const textureCache = new Map();
+
+/**
+ * Get a shared particle texture, baking it on first use
+ * @param {PIXI.Application} app - The PixiJS application
+ * @param {string} name - Texture shape name (droplet, spark, ring)
+ * @returns {PIXI.Texture} - Shared texture (never destroy it)
+ */
+export function getParticleTexture(app, name) {
+    if (!textureCache.has(name)) {
+        const draw = TEXTURE_SHAPES[name] || TEXTURE_SHAPES.droplet;
+        const graphics = new PIXI.Graphics();
+        draw(graphics);
+        
+        textureCache.set(name, app.renderer.generateTexture(graphics));
+        graphics.destroy();
+    }
+    
+    return textureCache.get(name);
+}
+
+/**
+ * Evaluate a lifetime curve: a number, or [[t, value], ...] keyframes with t from 0 to 1
+ * @param {number|Array} curve - Constant or keyframes
+ * @param {number} t - Fraction of the particle's life elapsed
+ * @returns {number} - Value at t
+ */
+export function evaluateCurve(curve, t) {
+    if (!Array.isArray(curve)) return curve;
+    if (t <= curve[0][0]) return curve[0][1];
+    
+    for (let i = 1; i < curve.length; i++) {
+        const [t1, v1] = curve[i];
+        if (t <= t1) {
+            const [t0, v0] = curve[i - 1];
+            return v0 + (v1 - v0) * (t - t0) / (t1 - t0 || 1);
+        }
+    }
+    
+    return curve[curve.length - 1][1];
+}
+
+/**
+ * Pick a random value from a [min, max] range, or return a constant
+ * @param {number|Array} range - Constant or [min, max]
+ * @returns {number} - Value
+ */
+function randomIn(range) {
+    return Array.isArray(range) ? range[0] + Math.random() * (range[1] - range[0]) : range;
+}
+
+/**
+ * Pick a spawn offset within the emitter shape
+ * @param {Object} shape - {type: point|circle|ring|rect|line, radius, width, height}
+ * @returns {Object} - {x, y} offset from the emit position
+ */
+function sampleShape(shape) {
+    switch (shape.type) {
+        case 'circle': {
+            // Uniform over the disc
+            const angle = Math.random() * Math.PI * 2;
+            const radius = shape.radius * Math.sqrt(Math.random());
+            return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+        }
+        case 'ring': {
+            const angle = Math.random() * Math.PI * 2;
+            return { x: Math.cos(angle) * shape.radius, y: Math.sin(angle) * shape.radius };
+        }
+        case 'rect':
+            return {
+                x: (Math.random() - 0.5) * shape.width,
+                y: (Math.random() - 0.5) * shape.height
+            };
+        case 'line':
+            // Along the x axis, rotated with the emit angle by the caller
+            return { x: (Math.random() - 0.5) * shape.width, y: 0 };
+        default:
+            return { x: 0, y: 0 };
+    }
+}
+
+/**
+ * Creates a particle emitter. Sprites are taken from a pool and returned to it
+ * when they expire, and every emitter shares the baked textures, so emitting
+ * allocates nothing once the pool has warmed up.
+ * @param {PIXI.Application} app - The PixiJS application
+ * @param {PIXI.Container} parent - Container the particles are drawn in
+ * @param {Object} options - Emitter options:
+ *   texture - shape name; maxParticles - live particle limit;
+ *   shape - spawn area {type, radius, width, height};
+ *   lifetime, speed, angle, spin, size - [min, max] ranges (frames, pixels/frame, radians, scale);
+ *   alpha, scale - lifetime curves; tints - colours to pick from;
+ *   acceleration - {x, y} per frame; drag - velocity kept per frame
+ * @returns {Object} - Emitter with emit, update, clear and destroy
+ */
+export function createEmitter(app, parent, options) {
+    const settings = {
+        texture: 'droplet',
+        maxParticles: 50,
+        shape: { type: 'point' },
+        lifetime: [30, 60],
+        speed: [0.2, 0.5],
+        angle: [0, Math.PI * 2],
+        spin: 0,
+        size: 1,
+        alpha: [[0, 1], [1, 0]],
+        scale: 1,
+        tints: [0xFFFFFF],
+        acceleration: { x: 0, y: 0 },
+        drag: 1,
+        ...options
+    };
+    
+    const texture = getParticleTexture(app, settings.texture);
+    
+    const container = new PIXI.Container();
+    parent.addChild(container);
+    
+    // Live particles, and sprites waiting to be reused
+    const particles = [];
+    const pool = [];
+    
+    return {
+        container,
+        particles,
+        
+        /**
+         * Emit particles
+         * @param {number} count - Number of particles
+         * @param {number} x - Emit position x (in the parent's space)
+         * @param {number} y - Emit position y
+         * @param {Object} overrides - Optional per-burst {angle, speed, tints, rotation}
+         */
+        emit(count, x, y, overrides = {}) {
+            const angleRange = overrides.angle !== undefined ? overrides.angle : settings.angle;
+            const speedRange = overrides.speed !== undefined ? overrides.speed : settings.speed;
+            const tints = overrides.tints || settings.tints;
+            const rotation = overrides.rotation || 0;
+            
+            for (let i = 0; i < count && particles.length < settings.maxParticles; i++) {
+                let sprite = pool.pop();
+                if (!sprite) {
+                    sprite = new PIXI.Sprite(texture);
+                    sprite.anchor.set(0.5);
+                }
+                sprite.visible = true;
+                sprite.tint = tints[Math.floor(Math.random() * tints.length)];
+                
+                // Spawn within the emitter shape, turned to the emit rotation
+                const offset = sampleShape(settings.shape);
+                const cos = Math.cos(rotation);
+                const sin = Math.sin(rotation);
+                sprite.position.set(x + offset.x * cos - offset.y * sin, y + offset.x * sin + offset.y * cos);
+                sprite.rotation = Math.random() * Math.PI * 2;
+                
+                const angle = randomIn(angleRange);
+                const speed = randomIn(speedRange);
+                const particle = {
+                    sprite,
+                    vx: Math.cos(angle) * speed,
+                    vy: Math.sin(angle) * speed,
+                    spin: randomIn(settings.spin),
+                    age: 0,
+                    lifetime: randomIn(settings.lifetime),
+                    size: randomIn(settings.size)
+                };
+                
+                this.applyCurves(particle);
+                container.addChild(sprite);
+                particles.push(particle);
+            }
+        },
+        
+        /**
+         * Move and age the live particles, returning expired ones to the pool
+         * @param {number} delta - Time elapsed
+         */
+        update(delta) {
+            const drag = Math.pow(settings.drag, delta);
+            
+            for (let i = particles.length - 1; i >= 0; i--) {
+                const particle = particles[i];
+                particle.age += delta;
+                
+                if (particle.age >= particle.lifetime) {
+                    this.release(i);
+                    continue;
+                }
+                
+                particle.vx = (particle.vx + settings.acceleration.x * delta) * drag;
+                particle.vy = (particle.vy + settings.acceleration.y * delta) * drag;
+                particle.sprite.x += particle.vx * delta;
+                particle.sprite.y += particle.vy * delta;
+                particle.sprite.rotation += particle.spin * delta;
+                
+                this.applyCurves(particle);
+            }
+        },
+        
+        /**
+         * Set a particle's alpha and scale from the lifetime curves
+         * @param {Object} particle - Particle
+         */
+        applyCurves(particle) {
+            const t = particle.age / particle.lifetime;
+            
+            particle.sprite.alpha = evaluateCurve(settings.alpha, t);
+            particle.sprite.scale.set(particle.size * evaluateCurve(settings.scale, t));
+        },
+        
+        /**
+         * Return a live particle's sprite to the pool
+         * @param {number} index - Index into the live particles
+         */
+        release(index) {
+            const [particle] = particles.splice(index, 1);
+            particle.sprite.visible = false;
+            container.removeChild(particle.sprite);
+            pool.push(particle.sprite);
+        },
+        
+        /**
+         * Expire every live particle
+         */
+        clear() {
+            while (particles.length > 0) {
+                this.release(particles.length - 1);
+            }
+        },
+        
+        /**
+         * Remove the emitter and its sprites (the shared texture is kept)
+         */
+        destroy() {
+            this.clear();
+            pool.forEach(sprite => sprite.destroy());
+            pool.length = 0;
+            
+            if (container.parent) {
+                container.parent.removeChild(container);
+            }
+            container.destroy();
+        }
+    };
+}
@@ -0,0 +1,60 @@
+// propagation.js - Signal propagation model (travel time, range and attenuation)
+
+/**
+ * Creates the propagation model used by lighthouse signals
+ * @param {Object} state - Global application state
+ * @returns {Object} - Propagation model
+ */
+export function createPropagationModel(state) {
+    const config = state.config.lighthouse.propagation;
+    
+    return {
+        /**
+         * Signal speed in pixels per frame
+         */
+        speed: config.speed,
+        
+        /**
+         * Maximum distance a clear-weather signal can reach
+         * @returns {number} - Range in pixels
+         */
+        getRange() {
+            const { width, height } = state.layout;
+            return Math.sqrt(width * width + height * height) * config.range;
+        },
+        
+        /**
+         * Calculate the received signal strength at a given distance
+         * @param {number} distance - Distance from the lighthouse in pixels
+         * @returns {number} - Strength between 0 and 1
+         */
+        getStrength(distance) {
+            const range = this.getRange();
+            
+            // Strength falls off with the square of the distance, reaching 0 at full range
+            const normalized = Math.min(1, distance / range);
+            let strength = 1 - normalized * normalized;
+            
+            // Rain absorbs part of the signal along the whole path
+            if (state.weather && state.weather.isRaining) {
+                strength *= Math.exp(-config.rainAttenuation * normalized);
+            }
+            
+            // Fog scatters the signal in proportion to its density
+            if (state.weather && state.weather.fogDensity > 0) {
+                strength *= Math.exp(-config.fogAttenuation * state.weather.fogDensity * normalized);
+            }
+            
+            return Math.max(0, strength);
+        },
+        
+        /**
+         * Check whether a receiver at this distance can still decode the signal
+         * @param {number} distance - Distance from the lighthouse in pixels
+         * @returns {boolean} - True if the signal is strong enough
+         */
+        isInRange(distance) {
+            return this.getStrength(distance) >= config.minStrength;
+        }
+    };
+}
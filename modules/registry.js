@@ -0,0 +1,216 @@
+// registry.js - Entity and system registry driving the update loop
+
+// Default update order by type (lower runs first); unknown types run last
+export const UPDATE_ORDER = {
+    map: 0,
+    lighthouse: 10,
+    helm: 15,
+    boat: 20,
+    signal: 30,
+    dayNight: 40,
+    audio: 50,
+    camera: 60,
+    tiles: 65
+};
+
+// Smoothing applied to the per-type cost so the debug readout is stable
+const COST_SMOOTHING = 0.1;
+
+/**
+ * Creates the registry that owns entity and system lifecycles.
+ * Anything with an update(delta) method can be registered; returning true from
+ * update removes and destroys it. Optional hooks: onPause, onResume, destroy.
+ * Simulation entries run on clock time, real-time entries (camera, audio) on
+ * wall-clock frames so they keep working while the simulation is paused.
+ * @returns {Object} - Registry
+ */
+export function createRegistry() {
+    // Entries sorted by order, insertion order within the same order
+    const entries = [];
+    
+    // Per-type cost in milliseconds per frame, and this frame's running total
+    const costs = new Map();
+    const frameCosts = new Map();
+    
+    /**
+     * Find the entry for a registered object
+     * @param {Object} target - Registered object
+     * @returns {number} - Entry index or -1
+     */
+    const indexOf = (target) => entries.findIndex(entry => entry.target === target);
+    
+    /**
+     * Resolve a target or type name to matching entries
+     * @param {Object|string} targetOrType - Registered object or type name
+     * @returns {Array} - Matching entries
+     */
+    const resolve = (targetOrType) => typeof targetOrType === 'string'
+        ? entries.filter(entry => entry.type === targetOrType)
+        : entries.filter(entry => entry.target === targetOrType);
+    
+    return {
+        /**
+         * Register an entity or system
+         * @param {string} type - Type name (used for ordering, lookup and cost reporting)
+         * @param {Object} target - Object with an update(delta) method
+         * @param {Object} options - Optional {order, realTime}; order defaults to the type's order
+         * @returns {Object} - The registered object
+         */
+        add(type, target, options = {}) {
+            if (!target || indexOf(target) !== -1) return target;
+            
+            const entry = {
+                type,
+                target,
+                order: options.order !== undefined
+                    ? options.order
+                    : (type in UPDATE_ORDER ? UPDATE_ORDER[type] : 100),
+                realTime: !!options.realTime,
+                paused: false
+            };
+            
+            // Insert after everything with the same or lower order
+            let index = entries.length;
+            while (index > 0 && entries[index - 1].order > entry.order) {
+                index--;
+            }
+            entries.splice(index, 0, entry);
+            
+            return target;
+        },
+        
+        /**
+         * Unregister an object and run its destroy hook
+         * @param {Object} target - Registered object
+         * @param {boolean} destroy - Whether to call target.destroy (default true)
+         */
+        remove(target, destroy = true) {
+            const index = indexOf(target);
+            if (index === -1) return;
+            
+            entries.splice(index, 1);
+            
+            if (destroy && typeof target.destroy === 'function') {
+                target.destroy();
+            }
+        },
+        
+        /**
+         * Get all registered objects of a type, in update order
+         * @param {string} type - Type name
+         * @returns {Array} - Registered objects
+         */
+        get(type) {
+            return entries.filter(entry => entry.type === type).map(entry => entry.target);
+        },
+        
+        /**
+         * Count registered objects
+         * @param {string} type - Optional type name
+         * @returns {number} - Number of registered objects
+         */
+        count(type) {
+            return type ? entries.filter(entry => entry.type === type).length : entries.length;
+        },
+        
+        /**
+         * Update every unpaused object in order, measuring the cost per type
+         * @param {number} delta - Time elapsed
+         * @param {boolean} realTime - Update the real-time entries instead of the simulation
+         */
+        update(delta, realTime = false) {
+            // Iterate over a snapshot so updates can add or remove entries safely
+            entries.slice().forEach(entry => {
+                if (entry.paused || entry.realTime !== realTime) return;
+                if (typeof entry.target.update !== 'function') return;
+                
+                const start = performance.now();
+                const finished = entry.target.update(delta);
+                frameCosts.set(entry.type, (frameCosts.get(entry.type) || 0) + performance.now() - start);
+                
+                if (finished === true) {
+                    this.remove(entry.target);
+                }
+            });
+        },
+        
+        /**
+         * Finish a frame, folding its update costs into the smoothed per-type costs
+         */
+        endFrame() {
+            // Types with nothing updated this frame decay away
+            new Set([...costs.keys(), ...frameCosts.keys()]).forEach(type => {
+                const previous = costs.get(type) || 0;
+                const current = frameCosts.get(type) || 0;
+                const smoothed = previous + (current - previous) * COST_SMOOTHING;
+                
+                if (smoothed < 0.001 && !frameCosts.has(type)) {
+                    costs.delete(type);
+                } else {
+                    costs.set(type, smoothed);
+                }
+            });
+            
+            frameCosts.clear();
+        },
+        
+        /**
+         * Pause an object, or every object of a type
+         * @param {Object|string} targetOrType - Registered object or type name
+         */
+        pause(targetOrType) {
+            resolve(targetOrType).forEach(entry => {
+                if (entry.paused) return;
+                entry.paused = true;
+                if (typeof entry.target.onPause === 'function') {
+                    entry.target.onPause();
+                }
+            });
+        },
+        
+        /**
+         * Resume an object, or every object of a type
+         * @param {Object|string} targetOrType - Registered object or type name
+         */
+        resume(targetOrType) {
+            resolve(targetOrType).forEach(entry => {
+                if (!entry.paused) return;
+                entry.paused = false;
+                if (typeof entry.target.onResume === 'function') {
+                    entry.target.onResume();
+                }
+            });
+        },
+        
+        /**
+         * Check whether an object is paused
+         * @param {Object} target - Registered object
+         * @returns {boolean} - True if paused
+         */
+        isPaused(target) {
+            const index = indexOf(target);
+            return index !== -1 && entries[index].paused;
+        },
+        
+        /**
+         * Get the smoothed update cost per type, in update order
+         * @returns {Array} - [{type, count, cost}] with cost in milliseconds per frame
+         */
+        getStats() {
+            const types = [...new Set(entries.map(entry => entry.type))];
+            
+            return types.map(type => ({
+                type,
+                count: this.count(type),
+                cost: costs.get(type) || 0
+            }));
+        },
+        
+        /**
+         * Remove and destroy everything
+         */
+        destroyAll() {
+            entries.slice().reverse().forEach(entry => this.remove(entry.target));
+        }
+    };
+}
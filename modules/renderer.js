@@ -1,12 +1,17 @@
 // renderer.js - Handles PixiJS initialization and rendering layers
 
+import { createLayout } from './layout.js';
+
+// Camera used by the coordinate helpers (set once the camera exists)
+let activeCamera = null;
+
 /**
  * Initializes the PixiJS renderer and creates the layer structure
  * @param {Object} config - Renderer configuration
- * @returns {Object} - The PixiJS application and layers
+ * @returns {Object} - The PixiJS application, layers and layout
  */
 export function initializeRenderer(config) {
-    // Use the entire window size
+    // The canvas fills the window; the world inside it is laid out by the layout
     const width = window.innerWidth;
     const height = window.innerHeight;
     
@@ -36,27 +41,43 @@ export function initializeRenderer(config) {
     
     // Create rendering layers for z-ordering
     const layers = {
+        letterbox: new PIXI.Graphics(), // Bars around the world when its aspect doesn't match the window
+        viewport: new PIXI.Container(), // The logical world, scaled and centred in the window
         sky: new PIXI.Container(), // Sky, sun, moon, clouds
+        world: new PIXI.Container(), // Camera-controlled container for the map layers below
         background: new PIXI.Container(), // Far background elements
         terrain: new PIXI.Container(), // Land, trees, rocks
         water: new PIXI.Container(), // Water, waves
         structures: new PIXI.Container(), // Lighthouses, buildings
         entities: new PIXI.Container(), // Boat, other movable entities
-        effects: new PIXI.Container(), // Signals, weather effects
+        effects: new PIXI.Container(), // Signals, position fixes
+        weather: new PIXI.Container(), // Rain and fog, drawn over the whole view
         ui: new PIXI.Container(), // User interface elements
         tooltip: new PIXI.Container(), // Tooltips and popups
         zoomedView: new PIXI.Container() // Container for zoomed-in views
     };
     
-    // Add layers to stage in correct order
-    app.stage.addChild(
-        layers.sky,
+    // Map layers live in the world container so the camera can pan and zoom them
+    layers.world.addChild(
         layers.background,
         layers.terrain,
         layers.water,
         layers.structures,
         layers.entities,
-        layers.effects,
+        layers.effects
+    );
+    
+    // Sky, world and weather are in logical units; the UI above them is in screen pixels
+    layers.viewport.addChild(
+        layers.sky,
+        layers.world,
+        layers.weather
+    );
+    
+    // Add layers to stage in correct order
+    app.stage.addChild(
+        layers.letterbox,
+        layers.viewport,
         layers.ui,
         layers.tooltip,
         layers.zoomedView
@@ -65,37 +86,10 @@ export function initializeRenderer(config) {
     // Initially hide the zoomed view layer
     layers.zoomedView.visible = false;
     
-    // Set up resize handler
-    setupResizeHandler(app, config);
-    
-    return { app, layers };
-}
-
-/**
- * Sets up event handler for window resizing
- * @param {PIXI.Application} app - The PixiJS application
- * @param {Object} config - Renderer configuration
- */
-function setupResizeHandler(app, config) {
-    const onResize = () => {
-        // Get window dimensions
-        const width = window.innerWidth;
-        const height = window.innerHeight;
-        
-        // Resize the renderer to full window size
-        app.renderer.resize(width, height);
-        
-        // Dispatch custom event for game components to respond
-        window.dispatchEvent(new CustomEvent('game-resize', { 
-            detail: { width, height }
-        }));
-    };
-    
-    // Set initial size
-    onResize();
+    // Fit the world to the window, now and on every resize
+    const layout = createLayout(app, layers, config);
     
-    // Add event listener for window resize
-    window.addEventListener('resize', onResize);
+    return { app, layers, layout };
 }
 
 /**
@@ -109,14 +103,36 @@ export function createRenderContainer(parent) {
     return container;
 }
 
+// Layers that only wrap or frame other layers
+const WRAPPER_LAYERS = ['letterbox', 'viewport', 'world', 'zoomedView'];
+
+/**
+ * Get the layers holding scene content (everything except the wrappers, letterbox and zoomed view)
+ * @param {Object} layers - Layers created by initializeRenderer
+ * @returns {Array<PIXI.Container>} - Content layers
+ */
+export function getSceneLayers(layers) {
+    return Object.entries(layers)
+        .filter(([name]) => !WRAPPER_LAYERS.includes(name))
+        .map(([, layer]) => layer);
+}
+
+/**
+ * Set the camera used for coordinate conversion
+ * @param {Object} camera - Camera created by createCamera
+ */
+export function setCamera(camera) {
+    activeCamera = camera;
+}
+
 /**
  * Helper function to convert between screen and world coordinates
  * @param {Object} position - {x, y} in screen coordinates
  * @returns {Object} - {x, y} in world coordinates
  */
 export function screenToWorld(position) {
-    // Implement coordinate conversion if you have a camera system
-    return position;
+    // Without a camera the world is drawn 1:1 on screen
+    return activeCamera ? activeCamera.screenToWorld(position) : position;
 }
 
 /**
@@ -125,6 +141,5 @@ export function screenToWorld(position) {
  * @returns {Object} - {x, y} in screen coordinates
  */
 export function worldToScreen(position) {
-    // Implement coordinate conversion if you have a camera system
-    return position;
-}
\ No newline at end of file
+    return activeCamera ? activeCamera.worldToScreen(position) : position;
+}
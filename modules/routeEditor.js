@@ -0,0 +1,697 @@
+// routeEditor.js - In-canvas editor for vessel patrol routes, saved in localStorage
+
+import { screenToWorld } from './renderer.js';
+import { sampleLeg, getLegCount } from './spline.js';
+import { downloadFile } from './download.js';
+
+// localStorage key and file format version for saved routes
+// (version 1 stored bare waypoint arrays; version 2 adds the route mode)
+const STORAGE_KEY = 'lighthouse-routes';
+const FORMAT_VERSION = 2;
+
+// How a route is sailed
+const ROUTE_MODES = ['loop', 'pingPong'];
+
+/**
+ * Creates the route editor. Waypoints are edited as fractions of the map size,
+ * like the pathPoints in config
+ * @param {Object} state - Global application state
+ * @returns {Object} - Route editor
+ */
+export function createRouteEditor(state) {
+    const { app, layers } = state;
+    const config = state.config.routeEditor;
+    
+    // Curve preview and waypoint handles, drawn over the map
+    const overlay = new PIXI.Container();
+    overlay.name = 'routeEditor';
+    overlay.visible = false;
+    
+    const curve = new PIXI.Graphics();
+    const handles = new PIXI.Container();
+    overlay.addChild(curve, handles);
+    layers.effects.addChild(overlay);
+    
+    const editor = {
+        active: false,
+        // Vessel whose route is being edited
+        boat: null,
+        // Waypoints being edited, as fractions of the map size
+        points: [],
+        // 'loop' or 'pingPong'
+        mode: 'loop',
+        // Legs whose curve crosses land
+        invalidLegs: [],
+        selectedIndex: -1,
+        dragIndex: -1,
+        // Last result shown in the panel
+        message: '',
+        panel: null,
+        
+        /**
+         * Open the editor for the selected vessel, or close it
+         */
+        toggle() {
+            if (this.active) {
+                this.close();
+            } else {
+                this.open(state.entities.fleet ? state.entities.fleet.selected : null);
+            }
+        },
+        
+        /**
+         * Start editing a vessel's route
+         * @param {Object} boat - Boat whose route to edit
+         */
+        open(boat) {
+            if (!boat) return;
+            
+            this.boat = boat;
+            this.points = boat.getPathPoints();
+            this.mode = boat.getRouteMode();
+            this.selectedIndex = -1;
+            this.message = '';
+            this.active = true;
+            
+            overlay.visible = true;
+            this.panel.container.visible = true;
+            this.validate();
+            this.redraw();
+        },
+        
+        /**
+         * Stop editing (the route was applied as it was edited)
+         */
+        close() {
+            this.active = false;
+            this.boat = null;
+            this.dragIndex = -1;
+            if (state.camera) {
+                state.camera.panLocked = false;
+            }
+            
+            overlay.visible = false;
+            this.panel.container.visible = false;
+        },
+        
+        /**
+         * Append a waypoint to the end of the route
+         * @param {Object} point - {x, y} in map coordinates
+         */
+        addPoint(point) {
+            this.points.push(this.toFraction(point));
+            this.selectedIndex = this.points.length - 1;
+            this.commit();
+        },
+        
+        /**
+         * Insert a waypoint into a leg
+         * @param {number} leg - Leg index; the point goes after its start
+         * @param {Object} point - {x, y} in map coordinates
+         */
+        insertPoint(leg, point) {
+            this.points.splice(leg + 1, 0, this.toFraction(point));
+            this.selectedIndex = leg + 1;
+            this.commit();
+        },
+        
+        /**
+         * Move a waypoint (while dragging - committed on release)
+         * @param {number} index - Waypoint index
+         * @param {Object} point - {x, y} in map coordinates
+         */
+        movePoint(index, point) {
+            this.points[index] = this.toFraction(point);
+            this.validate();
+            this.redraw();
+        },
+        
+        /**
+         * Delete a waypoint, keeping at least the configured minimum
+         * @param {number} index - Waypoint index
+         */
+        deletePoint(index) {
+            if (index < 0 || index >= this.points.length) return;
+            if (this.points.length <= config.minPoints) {
+                this.message = `A route needs at least ${config.minPoints} waypoints`;
+                this.redraw();
+                return;
+            }
+            
+            this.points.splice(index, 1);
+            this.selectedIndex = -1;
+            this.commit();
+        },
+        
+        /**
+         * Switch the route between looping and ping-ponging
+         */
+        toggleMode() {
+            this.mode = this.mode === 'loop' ? 'pingPong' : 'loop';
+            this.commit();
+        },
+        
+        /**
+         * Validate the route, and apply and save it if every leg is clear of land
+         */
+        commit() {
+            this.validate();
+            
+            if (this.invalidLegs.length === 0) {
+                this.boat.setPathPoints(this.points, this.mode);
+                saveRoute(this.boat.name, { points: this.points, mode: this.mode });
+                this.message = 'Route applied and saved';
+            } else {
+                this.message = 'Not applied until every leg is clear of land';
+            }
+            
+            this.redraw();
+        },
+        
+        /**
+         * Find the legs that cross land
+         */
+        validate() {
+            this.invalidLegs = findLegsOverLand(state, this.toWorldPoints(this.points), this.isClosed());
+        },
+        
+        /**
+         * Check whether the route loops back to its start (ping-pong routes have no closing leg)
+         * @returns {boolean} - True for looping routes
+         */
+        isClosed() {
+            return this.mode === 'loop';
+        },
+        
+        /**
+         * Find the leg nearest a map position
+         * @param {Object} point - {x, y} in map coordinates
+         * @returns {number} - Leg index, or -1 if no leg is within reach
+         */
+        findLeg(point) {
+            const worldPoints = this.toWorldPoints(this.points);
+            // Screen pixels to map pixels, through both the window scale and the camera zoom
+            const tolerance = config.legTolerance / (state.layout.scale * (state.camera ? state.camera.zoom : 1));
+            let nearest = -1;
+            let nearestDistance = tolerance;
+            
+            for (let leg = 0; leg < getLegCount(worldPoints, this.isClosed()); leg++) {
+                const samples = sampleLeg(worldPoints, leg, this.isClosed(), config.samplesPerLeg);
+                
+                for (let i = 1; i < samples.length; i++) {
+                    const distance = distanceToSegment(point, samples[i - 1], samples[i]);
+                    if (distance < nearestDistance) {
+                        nearest = leg;
+                        nearestDistance = distance;
+                    }
+                }
+            }
+            
+            return nearest;
+        },
+        
+        /**
+         * Reset the vessel's route to the one in config and forget the saved copy
+         */
+        resetRoute() {
+            const vessel = state.config.fleet.find(v => v.name === this.boat.name) || {};
+            const pathPoints = vessel.pathPoints || state.config.boat.pathPoints;
+            if (!pathPoints) return;
+            
+            const routes = loadSavedRoutes();
+            delete routes[this.boat.name];
+            storeRoutes(routes);
+            
+            this.points = pathPoints.map(p => state.geo.toFraction(p));
+            this.mode = vessel.routeMode || state.config.boat.routeMode;
+            this.selectedIndex = -1;
+            this.boat.setPathPoints(this.points, this.mode);
+            this.validate();
+            this.message = 'Route reset to the default';
+            this.redraw();
+        },
+        
+        /**
+         * Download every vessel's route as a JSON file
+         */
+        exportRoutes() {
+            const data = { version: FORMAT_VERSION, routes: {} };
+            state.entities.fleet.boats.forEach(boat => {
+                data.routes[boat.name] = { points: boat.getPathPoints(), mode: boat.getRouteMode() };
+            });
+            
+            downloadFile('routes.json', JSON.stringify(data, null, 2), 'application/json');
+            
+            this.message = `Exported ${state.entities.fleet.boats.length} routes`;
+            this.redraw();
+        },
+        
+        /**
+         * Ask for a JSON file and import the routes in it
+         */
+        chooseImportFile() {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) return;
+                file.text().then(text => this.importRoutes(text));
+            });
+            input.click();
+        },
+        
+        /**
+         * Import routes from exported JSON, applying those for vessels in the fleet
+         * @param {string} text - JSON text
+         * @returns {Object} - {applied, rejected} vessel names
+         */
+        importRoutes(text) {
+            const result = { applied: [], rejected: [] };
+            
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (err) {
+                this.message = 'Not a valid route file';
+                this.redraw();
+                return result;
+            }
+            
+            const routes = data && data.routes ? data.routes : {};
+            const saved = loadSavedRoutes();
+            
+            Object.keys(routes).forEach(name => {
+                const boat = state.entities.fleet.getByName(name);
+                const route = normalizeRoute(routes[name]);
+                
+                if (!boat || !route ||
+                    findLegsOverLand(state, this.toWorldPoints(route.points), route.mode === 'loop').length > 0) {
+                    result.rejected.push(name);
+                    return;
+                }
+                
+                boat.setPathPoints(route.points, route.mode);
+                saved[name] = route;
+                result.applied.push(name);
+                
+                if (boat === this.boat) {
+                    this.points = boat.getPathPoints();
+                    this.mode = route.mode;
+                    this.selectedIndex = -1;
+                }
+            });
+            
+            storeRoutes(saved);
+            this.validate();
+            
+            this.message = `Imported ${result.applied.length} routes` +
+                (result.rejected.length ? `, rejected ${result.rejected.join(', ')}` : '');
+            console.log(this.message);
+            this.redraw();
+            
+            return result;
+        },
+        
+        /**
+         * Apply the routes saved in localStorage to the fleet
+         */
+        loadSaved() {
+            const routes = loadSavedRoutes();
+            
+            Object.keys(routes).forEach(name => {
+                const boat = state.entities.fleet.getByName(name);
+                const route = normalizeRoute(routes[name]);
+                if (!boat || !route) return;
+                
+                // The coastline may have changed since the route was saved
+                if (findLegsOverLand(state, this.toWorldPoints(route.points), route.mode === 'loop').length > 0) {
+                    console.warn(`Saved route for ${name} crosses land - using the default`);
+                    return;
+                }
+                
+                boat.setPathPoints(route.points, route.mode);
+            });
+        },
+        
+        /**
+         * Convert a map position to a fraction of the map size
+         * @param {Object} point - {x, y} in map coordinates
+         * @returns {Object} - {x, y} from 0 to 1
+         */
+        toFraction(point) {
+            const { width, height } = state.layout;
+            return {
+                x: Math.max(0, Math.min(1, point.x / width)),
+                y: Math.max(0, Math.min(1, point.y / height))
+            };
+        },
+        
+        /**
+         * Convert fractional waypoints to map positions
+         * @param {Array} points - [{x, y}] fractions of the map size
+         * @returns {Array} - [{x, y}] in map coordinates
+         */
+        toWorldPoints(points) {
+            const { width, height } = state.layout;
+            return points.map(p => ({ x: p.x * width, y: p.y * height }));
+        },
+        
+        /**
+         * Draw the curve, the waypoint handles and the panel
+         */
+        redraw() {
+            const worldPoints = this.toWorldPoints(this.points);
+            
+            // Curve preview, legs over land in red
+            curve.clear();
+            for (let leg = 0; leg < getLegCount(worldPoints, this.isClosed()); leg++) {
+                const samples = sampleLeg(worldPoints, leg, this.isClosed(), config.samplesPerLeg);
+                const color = this.invalidLegs.includes(leg) ? 0xFF4444 : 0x66CCFF;
+                
+                curve.lineStyle(2, color, 0.9);
+                curve.moveTo(samples[0].x, samples[0].y);
+                samples.slice(1).forEach(sample => curve.lineTo(sample.x, sample.y));
+            }
+            
+            syncHandles(this, worldPoints);
+            this.panel.update(this);
+        }
+    };
+    
+    /**
+     * Keep one handle per waypoint, creating and removing them as the route changes
+     * @param {Object} editor - Route editor
+     * @param {Array} worldPoints - Waypoints in map coordinates
+     */
+    const syncHandles = (editor, worldPoints) => {
+        while (handles.children.length > worldPoints.length) {
+            handles.removeChildAt(handles.children.length - 1).destroy({ children: true });
+        }
+        while (handles.children.length < worldPoints.length) {
+            handles.addChild(createHandle(handles.children.length));
+        }
+        
+        worldPoints.forEach((point, index) => {
+            const handle = handles.children[index];
+            handle.position.set(point.x, point.y);
+            
+            const circle = handle.getChildAt(0);
+            circle.clear();
+            circle.lineStyle(2, 0xFFFFFF, 1);
+            circle.beginFill(index === editor.selectedIndex ? 0xFFCC00 : 0x1E5A8C, 0.9);
+            circle.drawCircle(0, 0, config.handleRadius);
+            circle.endFill();
+        });
+    };
+    
+    /**
+     * Create a draggable waypoint handle
+     * @param {number} index - Waypoint index
+     * @returns {PIXI.Container} - Handle
+     */
+    const createHandle = (index) => {
+        const handle = new PIXI.Container();
+        handle.interactive = true;
+        handle.cursor = 'move';
+        handle.hitArea = new PIXI.Circle(0, 0, config.handleRadius + 3);
+        
+        const label = new PIXI.Text(String(index + 1), {
+            fontFamily: 'Arial',
+            fontSize: 10,
+            fill: 0xFFFFFF
+        });
+        label.position.set(config.handleRadius + 2, -config.handleRadius - 8);
+        
+        handle.addChild(new PIXI.Graphics(), label);
+        
+        handle.on('pointerdown', (e) => {
+            const handleIndex = handles.getChildIndex(handle);
+            
+            // Right-click or shift-click deletes
+            if (e.button === 2 || e.shiftKey) {
+                editor.deletePoint(handleIndex);
+                return;
+            }
+            
+            editor.selectedIndex = handleIndex;
+            editor.dragIndex = handleIndex;
+            if (state.camera) {
+                state.camera.panLocked = true;
+            }
+            editor.redraw();
+        });
+        
+        return handle;
+    };
+    
+    editor.panel = createEditorPanel(state, editor);
+    
+    // Click on the water to add a waypoint, or on a leg to insert one
+    app.stage.on('pointertap', (e) => {
+        if (!editor.active || e.target !== app.stage || state.isZoomed) return;
+        if (state.camera && state.camera.dragged) return;
+        
+        const point = screenToWorld(e.global);
+        if (state.entities.map && state.entities.map.isLand(point.x, point.y)) {
+            editor.message = 'Waypoints must be on the water';
+            editor.redraw();
+            return;
+        }
+        
+        const leg = editor.findLeg(point);
+        if (leg !== -1) {
+            editor.insertPoint(leg, point);
+        } else {
+            editor.addPoint(point);
+        }
+    });
+    
+    // Drag the pressed handle
+    app.stage.on('pointermove', (e) => {
+        if (editor.dragIndex === -1) return;
+        editor.movePoint(editor.dragIndex, screenToWorld(e.global));
+    });
+    
+    const endDrag = () => {
+        if (editor.dragIndex === -1) return;
+        editor.dragIndex = -1;
+        if (state.camera) {
+            state.camera.panLocked = false;
+        }
+        editor.commit();
+    };
+    app.stage.on('pointerup', endDrag);
+    app.stage.on('pointerupoutside', endDrag);
+    
+    // Right-click deletes, so keep the browser menu away while editing
+    app.view.addEventListener('contextmenu', (e) => {
+        if (editor.active) e.preventDefault();
+    });
+    
+    window.addEventListener('keydown', (e) => {
+        if (!editor.active) return;
+        if ((e.key === 'Delete' || e.key === 'Backspace') && editor.selectedIndex !== -1) {
+            e.preventDefault();
+            editor.deletePoint(editor.selectedIndex);
+        }
+    });
+    
+    editor.loadSaved();
+    
+    return editor;
+}
+
+/**
+ * Find the legs of a route whose curve crosses land
+ * @param {Object} state - Global application state
+ * @param {Array} worldPoints - Waypoints in map coordinates
+ * @param {boolean} closed - Whether the route loops back to its start
+ * @returns {Array} - Indices of legs over land
+ */
+function findLegsOverLand(state, worldPoints, closed) {
+    const map = state.entities.map;
+    const config = state.config.routeEditor;
+    const invalid = [];
+    if (!map) return invalid;
+    
+    for (let leg = 0; leg < getLegCount(worldPoints, closed); leg++) {
+        const samples = sampleLeg(worldPoints, leg, closed, config.samplesPerLeg);
+        if (samples.some(sample => map.isLand(sample.x, sample.y))) {
+            invalid.push(leg);
+        }
+    }
+    
+    return invalid;
+}
+
+/**
+ * Check that imported or saved data is a usable route
+ * @param {*} pathPoints - Candidate waypoints
+ * @returns {boolean} - True if it is an array of at least two fractional points
+ */
+function isValidRouteData(pathPoints) {
+    return Array.isArray(pathPoints) && pathPoints.length >= 2 && pathPoints.every(p =>
+        p && Number.isFinite(p.x) && Number.isFinite(p.y) &&
+        p.x >= 0 && p.x <= 1 && p.y >= 0 && p.y <= 1
+    );
+}
+
+/**
+ * Turn saved or imported route data into {points, mode}, accepting bare
+ * waypoint arrays from version 1 files
+ * @param {*} entry - Route data
+ * @returns {Object|null} - {points, mode}, or null if the data isn't a usable route
+ */
+function normalizeRoute(entry) {
+    const route = Array.isArray(entry) ? { points: entry } : entry;
+    if (!route || !isValidRouteData(route.points)) return null;
+    
+    return {
+        points: route.points.map(p => ({ x: p.x, y: p.y })),
+        mode: ROUTE_MODES.includes(route.mode) ? route.mode : 'loop'
+    };
+}
+
+/**
+ * Read the saved routes
+ * @returns {Object} - Routes keyed by vessel name
+ */
+function loadSavedRoutes() {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return data && data.routes ? data.routes : {};
+    } catch (err) {
+        // Storage disabled or corrupt - start afresh
+        return {};
+    }
+}
+
+/**
+ * Write the saved routes
+ * @param {Object} routes - Routes keyed by vessel name
+ */
+function storeRoutes(routes) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, routes }));
+    } catch (err) {
+        console.warn('Could not save routes:', err);
+    }
+}
+
+/**
+ * Save one vessel's route
+ * @param {string} name - Vessel name
+ * @param {Object} route - {points, mode} with waypoints as fractions of the map size
+ */
+function saveRoute(name, route) {
+    const routes = loadSavedRoutes();
+    routes[name] = normalizeRoute(route);
+    storeRoutes(routes);
+}
+
+/**
+ * Distance from a point to a line segment
+ * @param {Object} p - {x, y} point
+ * @param {Object} a - {x, y} segment start
+ * @param {Object} b - {x, y} segment end
+ * @returns {number} - Distance
+ */
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared))
+        : 0;
+    
+    return Math.sqrt(Math.pow(p.x - (a.x + t * dx), 2) + Math.pow(p.y - (a.y + t * dy), 2));
+}
+
+/**
+ * Creates the editor panel with its status text and buttons
+ * @param {Object} state - Global application state
+ * @param {Object} editor - Route editor
+ * @returns {Object} - Panel with container and update
+ */
+function createEditorPanel(state, editor) {
+    const { app, layers } = state;
+    const width = 460;
+    
+    const container = new PIXI.Container();
+    container.name = 'routeEditorPanel';
+    container.visible = false;
+    
+    // Panel background
+    const panel = new PIXI.Graphics();
+    panel.beginFill(0x000000, 0.6);
+    panel.drawRoundedRect(0, 0, width, 96, 5);
+    panel.endFill();
+    container.addChild(panel);
+    
+    const text = new PIXI.Text('', {
+        fontFamily: 'Arial',
+        fontSize: 12,
+        fill: 0xFFFFFF,
+        lineHeight: 16
+    });
+    text.position.set(10, 6);
+    container.addChild(text);
+    
+    /**
+     * Create a clickable text button
+     * @param {string} label - Button label
+     * @param {number} x - X position in the panel
+     * @param {Function} onClick - Click handler
+     * @returns {PIXI.Text} - Button
+     */
+    const createButton = (label, x, onClick) => {
+        const button = new PIXI.Text(label, {
+            fontFamily: 'Arial',
+            fontSize: 12,
+            fill: 0x66CCFF
+        });
+        button.position.set(x, 74);
+        button.interactive = true;
+        button.cursor = 'pointer';
+        button.on('pointerdown', onClick);
+        container.addChild(button);
+        return button;
+    };
+    
+    createButton('Export', 10, () => editor.exportRoutes());
+    createButton('Import', 70, () => editor.chooseImportFile());
+    createButton('Reset', 130, () => editor.resetRoute());
+    const modeButton = createButton('', 190, () => editor.toggleMode());
+    createButton('Done', width - 45, () => editor.close());
+    
+    layers.ui.addChild(container);
+    
+    // Keep at the top centre
+    const position = (screenWidth) => container.position.set(Math.round(screenWidth / 2 - width / 2), 10);
+    position(app.screen.width);
+    
+    window.addEventListener('game-resize', (e) => {
+        position(e.detail.width);
+    });
+    
+    return {
+        container,
+        
+        /**
+         * Refresh the status text
+         * @param {Object} editor - Route editor
+         */
+        update(editor) {
+            const legs = editor.invalidLegs.map(leg => leg + 1);
+            modeButton.text = `Mode: ${editor.mode === 'loop' ? 'Loop' : 'Ping-pong'}`;
+            
+            text.text = [
+                `Route: ${editor.boat ? editor.boat.name : ''} - ${editor.points.length} waypoints`,
+                legs.length ? `Legs ${legs.join(', ')} cross land` : 'All legs clear of land',
+                'Click water: add · click leg: insert · drag: move · right-click/Del: delete',
+                editor.message
+            ].join('\n');
+        }
+    };
+}
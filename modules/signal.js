@@ -6,38 +6,41 @@
 export class Signal {
     /**
      * Create a new signal
-     * @param {number} startX - Starting X position
-     * @param {number} startY - Starting Y position
-     * @param {number} endX - Target X position
-     * @param {number} endY - Target Y position
+     * @param {Object} source - Transmitting lighthouse (must expose getEmitterPosition)
+     * @param {Object} target - Receiving boat (must expose getReceiverPosition and receiveSignal)
      * @param {number} color - Signal color
-     * @param {number} speed - Signal speed
+     * @param {Object} propagation - Propagation model (speed, strength and range)
+     * @param {number} emittedAt - Simulation time at which the signal was sent
+     * @param {Object} payload - Optional payload ({keying}: on/off Morse units) modulating the wave
      */
-    constructor(startX, startY, endX, endY, color, speed) {
+    constructor(source, target, color, propagation, emittedAt, payload) {
         // Create container for signal
         this.container = new PIXI.Container();
         
         // Store properties
-        this.startX = startX;
-        this.startY = startY;
-        this.endX = endX;
-        this.endY = endY;
+        this.source = source;
+        this.target = target;
         this.color = color;
-        this.speed = speed || 0.01;
+        this.propagation = propagation;
+        this.emittedAt = emittedAt || 0;
+        this.payload = payload || null;
+        this.elapsed = 0;
+        this.distanceTravelled = 0;
         this.progress = 0;
+        this.strength = 1;
+        this.delivered = false;
+        this.lost = false;
         this.amplitude = 10;
         this.frequency = 0.1;
+        this.unitLength = 6; // Pixels of wave per Morse unit
         
-        // Calculate signal path
-        this.pathLength = Math.sqrt(
-            Math.pow(this.endX - this.startX, 2) + 
-            Math.pow(this.endY - this.startY, 2)
-        );
+        // Lighthouses don't move, so the start point is fixed at emission
+        const start = source.getEmitterPosition();
+        this.startX = start.x;
+        this.startY = start.y;
         
-        this.angle = Math.atan2(
-            this.endY - this.startY, 
-            this.endX - this.startX
-        );
+        // Calculate signal path towards the receiver's current position
+        this.trackTarget();
         
         // Create graphics for signal
         this.graphics = new PIXI.Graphics();
@@ -51,12 +54,33 @@ export class Signal {
         this.draw();
     }
     
+    /**
+     * Re-aim the signal at the receiver's live position
+     */
+    trackTarget() {
+        const end = this.target.getReceiverPosition();
+        this.endX = end.x;
+        this.endY = end.y;
+        
+        this.pathLength = Math.sqrt(
+            Math.pow(this.endX - this.startX, 2) + 
+            Math.pow(this.endY - this.startY, 2)
+        );
+        
+        this.angle = Math.atan2(
+            this.endY - this.startY, 
+            this.endX - this.startX
+        );
+    }
+    
     /**
      * Draw signal wave
      */
     draw() {
         this.graphics.clear();
-        this.graphics.lineStyle(2, this.color, 0.7);
+        
+        // Fade the wave as the signal weakens with distance
+        this.graphics.lineStyle(2, this.color, 0.7 * Math.max(0.15, this.strength));
         
         // Calculate current signal length based on progress
         const currentLength = this.pathLength * this.progress;
@@ -64,14 +88,17 @@ export class Signal {
         // Draw sine wave
         this.graphics.moveTo(0, 0);
         
-        // Calculate wave points
-        const points = 20; // Number of points to draw
+        // Calculate wave points - keyed waves need enough points to show each Morse unit
+        const points = this.payload 
+            ? Math.max(20, Math.ceil(currentLength / (this.unitLength / 2))) 
+            : 20;
         
         for (let i = 1; i <= points; i++) {
             const segmentLength = (i / points) * currentLength;
             
-            // Calculate sine wave offset
-            const waveOffset = Math.sin(segmentLength * this.frequency) * this.amplitude;
+            // Calculate sine wave offset, silenced where the Morse key is up
+            const keyed = this.isKeyed(currentLength - segmentLength);
+            const waveOffset = keyed ? Math.sin(segmentLength * this.frequency) * this.amplitude : 0;
             
             // Calculate position in direction of signal
             const x = segmentLength * Math.cos(this.angle);
@@ -86,20 +113,80 @@ export class Signal {
         }
     }
     
+    /**
+     * Check whether the carrier is keyed at a distance behind the wavefront
+     * @param {number} distanceFromFront - Distance behind the wavefront in pixels
+     * @returns {boolean} - True if the wave is transmitting at that point
+     */
+    isKeyed(distanceFromFront) {
+        if (!this.payload) return true;
+        
+        // The message repeats with a word gap (7 units) between transmissions
+        const keying = this.payload.keying;
+        const cycle = keying.length + 7;
+        const unit = Math.floor(distanceFromFront / this.unitLength) % cycle;
+        
+        return unit < keying.length && keying[unit];
+    }
+    
     /**
      * Update signal animation
      * @param {number} delta - Time elapsed
      * @returns {boolean} - True if signal is complete
      */
     update(delta) {
-        // Update progress
-        this.progress += this.speed * delta;
+        // Advance the wavefront at the propagation speed
+        this.elapsed += delta;
+        this.distanceTravelled += this.propagation.speed * delta;
+        
+        // Follow the boat while the signal is in flight
+        this.trackTarget();
+        
+        this.progress = this.pathLength > 0 
+            ? Math.min(1, this.distanceTravelled / this.pathLength) 
+            : 1;
+        this.strength = this.propagation.getStrength(Math.min(this.distanceTravelled, this.pathLength));
         
         // Redraw signal
         this.draw();
         
-        // Return true when signal reaches target
-        return this.progress >= 1;
+        // A signal that fades out before reaching the boat is lost
+        if (!this.propagation.isInRange(Math.min(this.distanceTravelled, this.pathLength))) {
+            this.lost = true;
+            return true;
+        }
+        
+        // Hand the signal over to the receiver once it arrives
+        if (this.progress >= 1 && !this.delivered) {
+            this.deliver();
+        }
+        
+        return this.delivered;
+    }
+    
+    /**
+     * Deliver the signal to its receiver and announce the arrival
+     */
+    deliver() {
+        this.delivered = true;
+        
+        const arrival = {
+            source: this.source.name,
+            sourcePosition: { x: this.startX, y: this.startY },
+            color: this.color,
+            emittedAt: this.emittedAt,
+            timestamp: this.emittedAt + this.elapsed,
+            distance: this.pathLength,
+            strength: this.strength,
+            payload: this.payload
+        };
+        
+        this.target.receiveSignal(arrival);
+        
+        // Let other systems (UI, audio, logging) react to the arrival
+        window.dispatchEvent(new CustomEvent('signal-arrival', {
+            detail: { ...arrival, target: this.target.name }
+        }));
     }
     
     /**
@@ -0,0 +1,227 @@
+// spline.js - Catmull-Rom curves through route waypoints
+
+/**
+ * Evaluate a uniform Catmull-Rom segment between p1 and p2
+ * @param {Object} p0 - Point before the segment
+ * @param {Object} p1 - Segment start
+ * @param {Object} p2 - Segment end
+ * @param {Object} p3 - Point after the segment
+ * @param {number} t - Position along the segment (0 to 1)
+ * @returns {Object} - {x, y}
+ */
+export function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    
+    const blend = (a, b, c, d) => 0.5 * (
+        2 * b +
+        (c - a) * t +
+        (2 * a - 5 * b + 4 * c - d) * t2 +
+        (3 * b - a - 3 * c + d) * t3
+    );
+    
+    return {
+        x: blend(p0.x, p1.x, p2.x, p3.x),
+        y: blend(p0.y, p1.y, p2.y, p3.y)
+    };
+}
+
+/**
+ * Get the four control points for a leg of the route
+ * @param {Array} points - Waypoints [{x, y}]
+ * @param {number} leg - Leg index (from points[leg] to the next point)
+ * @param {boolean} closed - Whether the route loops back to its start
+ * @returns {Array} - [p0, p1, p2, p3]
+ */
+function getControlPoints(points, leg, closed) {
+    const count = points.length;
+    
+    // Open routes repeat their end points so the curve starts and stops on them
+    const at = (i) => closed
+        ? points[(i + count) % count]
+        : points[Math.max(0, Math.min(count - 1, i))];
+    
+    return [at(leg - 1), at(leg), at(leg + 1), at(leg + 2)];
+}
+
+/**
+ * Count the legs of a route
+ * @param {Array} points - Waypoints
+ * @param {boolean} closed - Whether the route loops back to its start
+ * @returns {number} - Number of legs
+ */
+export function getLegCount(points, closed) {
+    if (points.length < 2) return 0;
+    return closed ? points.length : points.length - 1;
+}
+
+/**
+ * Sample one leg of the curve through the waypoints
+ * @param {Array} points - Waypoints [{x, y}]
+ * @param {number} leg - Leg index
+ * @param {boolean} closed - Whether the route loops back to its start
+ * @param {number} segments - Straight segments per leg
+ * @returns {Array} - [{x, y}] from the leg's start to its end, inclusive
+ */
+export function sampleLeg(points, leg, closed, segments = 12) {
+    const [p0, p1, p2, p3] = getControlPoints(points, leg, closed);
+    const samples = [];
+    
+    for (let i = 0; i <= segments; i++) {
+        samples.push(catmullRom(p0, p1, p2, p3, i / segments));
+    }
+    
+    return samples;
+}
+
+/**
+ * Sample the whole curve through the waypoints
+ * @param {Array} points - Waypoints [{x, y}]
+ * @param {boolean} closed - Whether the route loops back to its start
+ * @param {number} segments - Straight segments per leg
+ * @returns {Array} - [{x, y}] along the curve
+ */
+export function sampleSpline(points, closed, segments = 12) {
+    const samples = [];
+    
+    for (let leg = 0; leg < getLegCount(points, closed); leg++) {
+        const legSamples = sampleLeg(points, leg, closed, segments);
+        
+        // Legs share their end points
+        samples.push(...(leg === 0 ? legSamples : legSamples.slice(1)));
+    }
+    
+    return samples;
+}
+
+/**
+ * Creates an arc-length parameterised spline, so positions are looked up by
+ * distance travelled and equal steps cover equal lengths of curve
+ * @param {Array} points - Waypoints [{x, y}]
+ * @param {boolean} closed - Whether the route loops back to its start
+ * @param {number} segments - Samples per leg in the length table
+ * @returns {Object} - Spline with length, pointAt, tangentAt and closestDistance
+ */
+export function createArcLengthSpline(points, closed, segments = 24) {
+    const samples = sampleSpline(points, closed, segments);
+    
+    // Cumulative length at each sample
+    const distances = [0];
+    for (let i = 1; i < samples.length; i++) {
+        const dx = samples[i].x - samples[i - 1].x;
+        const dy = samples[i].y - samples[i - 1].y;
+        distances.push(distances[i - 1] + Math.sqrt(dx * dx + dy * dy));
+    }
+    
+    const length = distances[distances.length - 1] || 0;
+    
+    /**
+     * Wrap (closed) or clamp (open) a distance onto the curve
+     * @param {number} distance - Distance along the curve
+     * @returns {number} - Distance from 0 to length
+     */
+    const normalize = (distance) => {
+        if (length === 0) return 0;
+        if (closed) return ((distance % length) + length) % length;
+        return Math.max(0, Math.min(length, distance));
+    };
+    
+    /**
+     * Find the table segment containing a distance (binary search)
+     * @param {number} distance - Normalized distance
+     * @returns {number} - Index of the segment's first sample
+     */
+    const findSegment = (distance) => {
+        let low = 0;
+        let high = distances.length - 1;
+        
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (distances[mid] <= distance) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        
+        return low;
+    };
+    
+    return {
+        length,
+        closed,
+        
+        /**
+         * Get the position a distance along the curve
+         * @param {number} distance - Distance from the start
+         * @returns {Object} - {x, y}
+         */
+        pointAt(distance) {
+            if (samples.length < 2) return samples[0] || { x: 0, y: 0 };
+            
+            const s = normalize(distance);
+            const i = findSegment(s);
+            const span = distances[i + 1] - distances[i];
+            const t = span > 0 ? (s - distances[i]) / span : 0;
+            
+            return {
+                x: samples[i].x + (samples[i + 1].x - samples[i].x) * t,
+                y: samples[i].y + (samples[i + 1].y - samples[i].y) * t
+            };
+        },
+        
+        /**
+         * Get the unit direction of travel a distance along the curve
+         * @param {number} distance - Distance from the start
+         * @returns {Object} - {x, y} unit tangent
+         */
+        tangentAt(distance) {
+            if (samples.length < 2) return { x: 1, y: 0 };
+            
+            const i = findSegment(normalize(distance));
+            const dx = samples[i + 1].x - samples[i].x;
+            const dy = samples[i + 1].y - samples[i].y;
+            const magnitude = Math.sqrt(dx * dx + dy * dy) || 1;
+            
+            return { x: dx / magnitude, y: dy / magnitude };
+        },
+        
+        /**
+         * Find the distance along the curve of the point closest to a position
+         * @param {Object} point - {x, y} position
+         * @param {number} around - Optional distance to search near (keeps crossing routes apart)
+         * @param {number} range - How far either side of around to search
+         * @returns {number} - Distance along the curve
+         */
+        closestDistance(point, around = null, range = Infinity) {
+            let best = 0;
+            let bestDistance = Infinity;
+            
+            for (let i = 1; i < samples.length; i++) {
+                // Skip segments outside the search window
+                if (around !== null) {
+                    let gap = Math.abs(distances[i] - normalize(around));
+                    if (closed) gap = Math.min(gap, length - gap);
+                    if (gap > range + distances[i] - distances[i - 1]) continue;
+                }
+                
+                const a = samples[i - 1];
+                const b = samples[i];
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const lengthSquared = dx * dx + dy * dy;
+                const t = lengthSquared > 0
+                    ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+                    : 0;
+                const distance = Math.pow(point.x - (a.x + t * dx), 2) + Math.pow(point.y - (a.y + t * dy), 2);
+                
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = distances[i - 1] + t * (distances[i] - distances[i - 1]);
+                }
+            }
+            
+            return normalize(best);
+        }
+    };
+}
@@ -0,0 +1,342 @@
+// steering.js - Collision avoidance and COLREGs right-of-way between vessels
+
+// Relative bearing limits (radians) used to classify encounters
+const HEAD_ON_BEARING = 10 * Math.PI / 180; // Other vessel nearly dead ahead
+const HEAD_ON_RECIPROCAL = 20 * Math.PI / 180; // Courses nearly opposite
+const ABAFT_THE_BEAM = 112.5 * Math.PI / 180; // Sector from which a vessel is overtaking
+
+// Turns tried, in order, when the course ahead runs onto land (starboard first)
+const LAND_AVOIDANCE_TURNS = [0.4, -0.4, 0.8, -0.8, 1.2, -1.2, 1.6, -1.6];
+
+/**
+ * Normalize an angle to the range -PI..PI
+ * @param {number} angle - Angle in radians
+ * @returns {number} - Normalized angle
+ */
+function normalizeAngle(angle) {
+    while (angle > Math.PI) angle -= Math.PI * 2;
+    while (angle < -Math.PI) angle += Math.PI * 2;
+    return angle;
+}
+
+/**
+ * Creates the steering system shared by all vessels
+ * @param {Object} state - Global application state
+ * @returns {Object} - Steering system
+ */
+export function createSteering(state) {
+    const config = state.config.steering;
+    
+    // Per-vessel memory: smoothed course offset and the encounter being handled
+    const memory = new WeakMap();
+    
+    /**
+     * Get a distance config value in pixels (configured as a fraction of the world diagonal)
+     * @param {number} fraction - Fraction of the diagonal
+     * @returns {number} - Distance in pixels
+     */
+    const toPixels = (fraction) => {
+        const { width, height } = state.layout;
+        return Math.sqrt(width * width + height * height) * fraction;
+    };
+    
+    return {
+        /**
+         * Work out the course and speed a vessel should actually steer
+         * @param {Object} boat - Vessel being steered
+         * @param {Object} desired - {x, y} unit vector towards its next waypoint
+         * @param {number} delta - Time elapsed
+         * @returns {Object} - {direction, speedFactor, role, reason, altering}
+         */
+        steer(boat, desired, delta) {
+            let status = memory.get(boat);
+            if (!status) {
+                status = { offset: 0, role: null, reason: null, holdTimer: 0 };
+                memory.set(boat, status);
+            }
+            
+            const others = state.entities.fleet ? state.entities.fleet.boats.filter(other => other !== boat) : [];
+            const desiredHeading = Math.atan2(desired.y, desired.x);
+            
+            // Separation - push away from vessels that are already too close
+            const separation = this.getSeparation(boat, others);
+            
+            // Right of way - most urgent encounter decides whether we give way or stand on
+            const encounter = this.getEncounter(boat, others);
+            
+            let targetOffset = 0;
+            let speedFactor = 1;
+            
+            if (encounter) {
+                status.role = encounter.role;
+                status.reason = encounter.reason;
+                status.holdTimer = config.holdTime;
+            } else if (status.holdTimer > 0) {
+                // Hold the manoeuvre for a while so the vessels clearly pass
+                status.holdTimer -= delta;
+            } else {
+                status.role = null;
+                status.reason = null;
+            }
+            
+            if (status.role === 'give-way') {
+                // Give-way vessels alter to starboard and slow down
+                targetOffset = config.giveWayTurn;
+                speedFactor = config.giveWaySpeed;
+            }
+            
+            // Keep off the coastline - this overrides the rules of the road
+            const landTurn = this.getLandAvoidance(boat, desiredHeading + targetOffset);
+            let reason = status.role === 'give-way' ? status.reason : null;
+            if (landTurn !== 0) {
+                targetOffset += landTurn;
+                reason = 'Avoiding land';
+            }
+            
+            // Ease into the new course rather than snapping to it
+            status.offset += (targetOffset - status.offset) * Math.min(1, config.turnRate * delta);
+            
+            const heading = desiredHeading + status.offset;
+            let directionX = Math.cos(heading) + separation.x * config.separationWeight;
+            let directionY = Math.sin(heading) + separation.y * config.separationWeight;
+            const length = Math.sqrt(directionX * directionX + directionY * directionY) || 1;
+            directionX /= length;
+            directionY /= length;
+            
+            const separating = Math.sqrt(separation.x * separation.x + separation.y * separation.y) > 0.1;
+            if (!reason && separating) {
+                reason = 'Keeping clear';
+            }
+            
+            return {
+                direction: { x: directionX, y: directionY },
+                speedFactor,
+                role: status.role,
+                reason,
+                offset: status.offset,
+                altering: Math.abs(status.offset) > 0.05 || speedFactor < 1 || separating
+            };
+        },
+        
+        /**
+         * Sum of repulsion from vessels inside the separation radius
+         * @param {Object} boat - Vessel being steered
+         * @param {Array} others - Other vessels
+         * @returns {Object} - {x, y} repulsion, 1 per vessel at zero distance
+         */
+        getSeparation(boat, others) {
+            const radius = toPixels(config.separationRadius);
+            const force = { x: 0, y: 0 };
+            
+            others.forEach(other => {
+                const dx = boat.container.x - other.container.x;
+                const dy = boat.container.y - other.container.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                
+                if (distance > 0 && distance < radius) {
+                    const weight = 1 - distance / radius;
+                    force.x += dx / distance * weight;
+                    force.y += dy / distance * weight;
+                }
+            });
+            
+            return force;
+        },
+        
+        /**
+         * Find the most urgent collision risk and our role under the COLREGs
+         * (rule 13 overtaking, 14 head-on, 15 crossing, 17 stand-on last resort)
+         * @param {Object} boat - Vessel being steered
+         * @param {Array} others - Other vessels
+         * @returns {Object|null} - {other, role, reason, cpa, tcpa} or null if no risk
+         */
+        getEncounter(boat, others) {
+            const detectionRange = toPixels(config.detectionRange);
+            const safeDistance = toPixels(config.safeDistance);
+            const closeQuarters = toPixels(config.closeQuarters);
+            const heading = boat.container.rotation;
+            const ownSpeed = Math.sqrt(
+                Math.pow(boat.physics.velocity.x, 2) +
+                Math.pow(boat.physics.velocity.y, 2)
+            );
+            
+            let urgent = null;
+            
+            others.forEach(other => {
+                const rx = other.container.x - boat.container.x;
+                const ry = other.container.y - boat.container.y;
+                const range = Math.sqrt(rx * rx + ry * ry);
+                if (range > detectionRange) return;
+                
+                // Closest point of approach from the relative motion
+                const vx = other.physics.velocity.x - boat.physics.velocity.x;
+                const vy = other.physics.velocity.y - boat.physics.velocity.y;
+                const relativeSpeed = vx * vx + vy * vy;
+                if (relativeSpeed < 1e-6) return;
+                
+                const tcpa = -(rx * vx + ry * vy) / relativeSpeed;
+                if (tcpa < 0 || tcpa > config.horizon) return;
+                
+                const cpa = Math.sqrt(Math.pow(rx + vx * tcpa, 2) + Math.pow(ry + vy * tcpa, 2));
+                if (cpa > safeDistance) return;
+                
+                // Bearing of the other vessel from our bow (positive = starboard, as y points down)
+                const bearing = normalizeAngle(Math.atan2(ry, rx) - heading);
+                // Bearing of us from their bow
+                const aspect = normalizeAngle(Math.atan2(-ry, -rx) - other.container.rotation);
+                const otherSpeed = Math.sqrt(
+                    Math.pow(other.physics.velocity.x, 2) +
+                    Math.pow(other.physics.velocity.y, 2)
+                );
+                
+                let role;
+                let reason;
+                
+                if (Math.abs(bearing) < HEAD_ON_BEARING &&
+                    Math.abs(normalizeAngle(other.container.rotation - heading - Math.PI)) < HEAD_ON_RECIPROCAL) {
+                    // Head-on: both vessels alter to starboard
+                    role = 'give-way';
+                    reason = 'Head-on';
+                } else if (Math.abs(aspect) > ABAFT_THE_BEAM && ownSpeed > otherSpeed) {
+                    // We are coming up from astern: the overtaking vessel keeps clear
+                    role = 'give-way';
+                    reason = 'Overtaking';
+                } else if (Math.abs(bearing) > ABAFT_THE_BEAM) {
+                    // Being overtaken
+                    role = 'stand-on';
+                    reason = 'Being overtaken';
+                } else if (bearing > 0) {
+                    // Crossing with the other vessel on our starboard side
+                    role = 'give-way';
+                    reason = 'Crossing';
+                } else {
+                    role = 'stand-on';
+                    reason = 'Crossing';
+                }
+                
+                // The stand-on vessel must act when the give-way vessel alone can't avoid collision
+                if (role === 'stand-on' && cpa < closeQuarters && tcpa < config.horizon / 4) {
+                    role = 'give-way';
+                    reason = 'Last resort';
+                }
+                
+                if (!urgent || tcpa < urgent.tcpa) {
+                    urgent = { other, role, reason, cpa, tcpa };
+                }
+            });
+            
+            return urgent;
+        },
+        
+        /**
+         * Check the water ahead and pick a turn that keeps the vessel off the coastline
+         * @param {Object} boat - Vessel being steered
+         * @param {number} heading - Intended heading in radians
+         * @returns {number} - Course alteration in radians (0 if the way ahead is clear)
+         */
+        getLandAvoidance(boat, heading) {
+            const map = state.entities.map;
+            if (!map || !map.isLand) return 0;
+            
+            const lookAhead = toPixels(config.lookAhead);
+            const { x, y } = boat.container;
+            
+            // Probe at the look-ahead distance and halfway there
+            const isClear = (angle) => [1, 0.5].every(fraction => !map.isLand(
+                x + Math.cos(angle) * lookAhead * fraction,
+                y + Math.sin(angle) * lookAhead * fraction
+            ));
+            
+            if (isClear(heading)) return 0;
+            
+            const turn = LAND_AVOIDANCE_TURNS.find(offset => isClear(heading + offset));
+            return turn !== undefined ? turn : Math.PI;
+        }
+    };
+}
+
+/**
+ * Creates the marker shown above a vessel while it alters course
+ * @param {PIXI.Container} parent - Layer to draw into
+ * @returns {Object} - Indicator with update and destroy methods
+ */
+export function createCourseIndicator(parent) {
+    const container = new PIXI.Container();
+    container.visible = false;
+    
+    const arrow = new PIXI.Graphics();
+    const label = new PIXI.Text('', {
+        fontFamily: 'Arial',
+        fontSize: 10,
+        fill: 0xFFFFFF,
+        stroke: 0x000000,
+        strokeThickness: 3
+    });
+    label.anchor.set(0.5, 1);
+    label.position.set(0, -12);
+    
+    container.addChild(arrow, label);
+    parent.addChild(container);
+    
+    // Last drawn state, so the arrow is only redrawn when it changes
+    let drawn = null;
+    
+    return {
+        container,
+        
+        /**
+         * Show or hide the indicator for the vessel's latest steering decision
+         * @param {Object} boat - Vessel
+         * @param {Object} steering - Result of steering.steer
+         */
+        update(boat, steering) {
+            container.visible = !!(steering && steering.altering);
+            if (!container.visible) return;
+            
+            container.position.set(boat.container.x, boat.container.y - 30);
+            
+            const color = steering.reason === 'Avoiding land' ? 0xFF5555
+                : steering.role === 'give-way' ? 0xFFA500
+                    : 0xFFFF66;
+            const direction = steering.offset >= 0 ? 1 : -1;
+            const key = `${color}:${direction}:${steering.reason}`;
+            if (key === drawn) return;
+            drawn = key;
+            
+            // Curved arrow bending to the side the vessel is turning towards
+            arrow.clear();
+            arrow.lineStyle(2, color, 1);
+            arrow.arc(0, 4, 8, -Math.PI / 2 - direction * 0.9, -Math.PI / 2 + direction * 0.9, direction < 0);
+            
+            // Arrowhead along the arc's tangent at its end
+            const tipAngle = -Math.PI / 2 + direction * 0.9;
+            const tipX = Math.cos(tipAngle) * 8;
+            const tipY = 4 + Math.sin(tipAngle) * 8;
+            const tangentX = -Math.sin(tipAngle) * direction;
+            const tangentY = Math.cos(tipAngle) * direction;
+            const normalX = Math.cos(tipAngle);
+            const normalY = Math.sin(tipAngle);
+            arrow.lineStyle(0);
+            arrow.beginFill(color);
+            arrow.drawPolygon([
+                tipX + tangentX * 4, tipY + tangentY * 4,
+                tipX - tangentX * 2 + normalX * 3, tipY - tangentY * 2 + normalY * 3,
+                tipX - tangentX * 2 - normalX * 3, tipY - tangentY * 2 - normalY * 3
+            ]);
+            arrow.endFill();
+            
+            label.text = steering.reason || '';
+            label.style.fill = color;
+        },
+        
+        /**
+         * Clean up indicator resources
+         */
+        destroy() {
+            if (container.parent) {
+                container.parent.removeChild(container);
+            }
+            container.destroy({ children: true });
+        }
+    };
+}
@@ -0,0 +1,451 @@
+// terrainGenerator.js - Seeded procedural coastline, baked into a single texture
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed; strings are hashed
+ * @returns {Function} - Returns a number from 0 (inclusive) to 1 (exclusive) per call
+ */
+export function createRandom(seed) {
+    let a = hashSeed(seed);
+    
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Creates seeded 2D value noise
+ * @param {number|string} seed - Seed; strings are hashed
+ * @returns {Object} - {value(x, y), fractal(x, y, octaves)}, both from 0 to 1
+ */
+export function createNoise(seed) {
+    const base = hashSeed(seed);
+    
+    // Random value at a lattice point
+    const lattice = (ix, iy) => {
+        let h = base ^ Math.imul(ix, 374761393) ^ Math.imul(iy, 668265263);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+    };
+    
+    const smooth = (t) => t * t * (3 - 2 * t);
+    
+    return {
+        /**
+         * Smoothly interpolated noise with features about one unit across
+         * @param {number} x - X in noise units
+         * @param {number} y - Y in noise units
+         * @returns {number} - Noise from 0 to 1
+         */
+        value(x, y) {
+            const ix = Math.floor(x);
+            const iy = Math.floor(y);
+            const fx = smooth(x - ix);
+            const fy = smooth(y - iy);
+            
+            const top = lattice(ix, iy) + (lattice(ix + 1, iy) - lattice(ix, iy)) * fx;
+            const bottom = lattice(ix, iy + 1) + (lattice(ix + 1, iy + 1) - lattice(ix, iy + 1)) * fx;
+            return top + (bottom - top) * fy;
+        },
+        
+        /**
+         * Fractal noise: octaves of value noise, each twice as fine and half as strong
+         * @param {number} x - X in noise units
+         * @param {number} y - Y in noise units
+         * @param {number} octaves - Number of octaves
+         * @returns {number} - Noise from 0 to 1
+         */
+        fractal(x, y, octaves) {
+            let total = 0;
+            let amplitude = 1;
+            let frequency = 1;
+            let range = 0;
+            
+            for (let i = 0; i < octaves; i++) {
+                // Offset each octave so their lattices don't line up
+                total += this.value(x * frequency + i * 17.3, y * frequency - i * 9.1) * amplitude;
+                range += amplitude;
+                amplitude /= 2;
+                frequency *= 2;
+            }
+            
+            return total / range;
+        }
+    };
+}
+
+/**
+ * Generate a coastal map. Height is a ramp falling from the land in the west
+ * to the sea in the east plus fractal noise, so the coast wanders, with bays,
+ * islets and hills; the sea is split into depth bands by how far below sea
+ * level it lies. Settlements, roads, trees and rocks are placed on the land
+ * and everything is painted into one RGBA image. The same seed and size
+ * always give the same map.
+ * @param {number} width - Map width in pixels
+ * @param {number} height - Map height in pixels
+ * @param {Object} config - Terrain configuration (seed, generator settings, colours)
+ * @param {Array} baseCoastline - Optional [{x, y}] coast, north to south, to follow
+ * @returns {Object} - Generated terrain: pixels, land grid, coastline, settlements and roads
+ */
+export function generateTerrain(width, height, config, baseCoastline = null) {
+    const settings = config.generator;
+    const colors = settings.colors;
+    const random = createRandom(config.seed);
+    const noise = createNoise(`${config.seed}/height`);
+    
+    // Chunky cells, like the pixel art of the map image
+    const cellSize = config.pixelSize;
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    
+    // Base coast for each row: the given coastline, or a wandering line at coastPosition
+    const coastX = new Float32Array(rows);
+    for (let row = 0; row < rows; row++) {
+        const y = (row + 0.5) * cellSize;
+        const base = baseCoastline && baseCoastline.length > 1 ?
+            interpolateCoastline(baseCoastline, y) :
+            width * settings.coastPosition;
+        coastX[row] = base + (noise.fractal(3.7, y / settings.noiseScale, 2) - 0.5) * 2 * settings.coastNoise;
+    }
+    
+    // Heightmap in units of coastRamp: above 0 is land, below 0 is sea
+    const heights = new Float32Array(columns * rows);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const x = (column + 0.5) * cellSize;
+            const y = (row + 0.5) * cellSize;
+            const relief = noise.fractal(x / settings.noiseScale, y / settings.noiseScale, settings.octaves) - 0.5;
+            heights[row * columns + column] = (coastX[row] - x) / settings.coastRamp + relief * 2 * settings.relief;
+        }
+    }
+    
+    const land = new Uint8Array(columns * rows);
+    for (let i = 0; i < heights.length; i++) {
+        land[i] = heights[i] > 0 ? 1 : 0;
+    }
+    
+    const heightAt = (x, y) => {
+        const column = Math.floor(x / cellSize);
+        const row = Math.floor(y / cellSize);
+        if (column < 0 || row < 0 || column >= columns || row >= rows) return -Infinity;
+        return heights[row * columns + column];
+    };
+    
+    // Paint the cells: depth bands at sea, beach, lowland and hills on land
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const setPixel = (x, y, color) => {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        
+        const i = (y * width + x) * 4;
+        pixels[i] = (color >> 16) & 0xFF;
+        pixels[i + 1] = (color >> 8) & 0xFF;
+        pixels[i + 2] = color & 0xFF;
+        pixels[i + 3] = 255;
+    };
+    
+    const shade = createRandom(`${config.seed}/shade`);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const value = heights[row * columns + column];
+            const color = cellColor(value, config, shade());
+            
+            for (let dy = 0; dy < cellSize; dy++) {
+                for (let dx = 0; dx < cellSize; dx++) {
+                    setPixel(column * cellSize + dx, row * cellSize + dy, color);
+                }
+            }
+        }
+    }
+    
+    // Settlements on low ground near the coast, kept apart from each other
+    const settlements = [];
+    for (let attempt = 0; attempt < settings.settlementCount * 50 && settlements.length < settings.settlementCount; attempt++) {
+        const y = random() * height;
+        const row = Math.min(rows - 1, Math.floor(y / cellSize));
+        const x = coastX[row] - random() * settings.coastRamp * 2;
+        const value = heightAt(x, y);
+        
+        if (value <= settings.beachHeight || value >= settings.hillHeight) continue;
+        if (settlements.some(s => Math.hypot(s.x - x, s.y - y) < settings.settlementSpacing)) continue;
+        settlements.push({ x: Math.round(x), y: Math.round(y) });
+    }
+    
+    // A coast road linking the settlements north to south, and roads inland from every other one
+    settlements.sort((a, b) => a.y - b.y);
+    const roads = [];
+    for (let i = 1; i < settlements.length; i++) {
+        roads.push(wanderingRoad(settlements[i - 1], settlements[i], random, settings.roadWander));
+    }
+    settlements.forEach((settlement, i) => {
+        if (i % 2 === 0) {
+            const inland = { x: 0, y: settlement.y + (random() - 0.5) * settings.settlementSpacing };
+            roads.push(wanderingRoad(settlement, inland, random, settings.roadWander));
+        }
+    });
+    
+    // Roads only run over land
+    const onRoad = new Uint8Array(columns * rows);
+    roads.forEach(road => {
+        for (let i = 1; i < road.length; i++) {
+            traceLine(road[i - 1], road[i], (x, y) => {
+                if (heightAt(x, y) <= 0) return;
+                setPixel(x, y, colors.road);
+                onRoad[Math.floor(y / cellSize) * columns + Math.floor(x / cellSize)] = 1;
+            });
+        }
+    });
+    
+    const isFree = (x, y, minHeight) => {
+        const column = Math.floor(x / cellSize);
+        const row = Math.floor(y / cellSize);
+        if (column < 0 || row < 0 || column >= columns || row >= rows) return false;
+        return heights[row * columns + column] > minHeight && !onRoad[row * columns + column];
+    };
+    
+    // Trees off the beach and rocks anywhere on land, never on a road
+    const trees = placeProps(config.treeCount, width, height, random, (x, y) => isFree(x, y, settings.beachHeight));
+    const rocks = placeProps(config.rockCount, width, height, random, (x, y) => isFree(x, y, 0));
+    
+    trees.forEach(({ x, y }) => {
+        setPixel(x, y - 1, colors.tree);
+        setPixel(x - 1, y, colors.tree);
+        setPixel(x, y, colors.treeLight);
+        setPixel(x + 1, y, colors.tree);
+        setPixel(x, y + 1, colors.trunk);
+    });
+    
+    rocks.forEach(({ x, y }) => {
+        setPixel(x, y, config.baseColor);
+        setPixel(x + 1, y, config.baseColor);
+        setPixel(x, y - 1, colors.rockLight);
+    });
+    
+    // Settlements last, so they sit on top of their roads
+    settlements.forEach(({ x, y }) => {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                setPixel(x + dx, y + dy, colors.settlement);
+            }
+        }
+    });
+    
+    return {
+        width,
+        height,
+        cellSize,
+        columns,
+        rows,
+        pixels,
+        heights,
+        land,
+        coastline: traceCoastline(land, columns, rows, cellSize, width, height),
+        settlements,
+        roads,
+        trees,
+        rocks,
+        
+        /**
+         * Check whether a point lies on land
+         * @param {number} x - X position
+         * @param {number} y - Y position
+         * @returns {boolean} - True if the point is on land (false off the map)
+         */
+        isLand(x, y) {
+            const column = Math.floor(x / cellSize);
+            const row = Math.floor(y / cellSize);
+            if (column < 0 || row < 0 || column >= columns || row >= rows) return false;
+            return land[row * columns + column] === 1;
+        }
+    };
+}
+
+/**
+ * Bake generated terrain into a texture
+ * @param {Object} terrain - Result of generateTerrain
+ * @returns {PIXI.Texture} - Texture the size of the map
+ */
+export function bakeTerrainTexture(terrain) {
+    const canvas = document.createElement('canvas');
+    canvas.width = terrain.width;
+    canvas.height = terrain.height;
+    
+    const context = canvas.getContext('2d');
+    context.putImageData(new ImageData(terrain.pixels, terrain.width, terrain.height), 0, 0);
+    
+    return PIXI.Texture.from(canvas, { scaleMode: PIXI.SCALE_MODES.NEAREST });
+}
+
+/**
+ * Hash a seed to a 32-bit integer (FNV-1a over its string form)
+ * @param {number|string} seed - Seed
+ * @returns {number} - 32-bit integer
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811C9DC5;
+    
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return hash >>> 0;
+}
+
+/**
+ * Colour of a cell from its height
+ * @param {number} value - Height (above 0 is land)
+ * @param {Object} config - Terrain configuration (accent colour, generator bands and colours)
+ * @param {number} roll - Random value from 0 to 1 for the shade variation
+ * @returns {number} - Colour
+ */
+function cellColor(value, config, roll) {
+    const settings = config.generator;
+    const { colors } = settings;
+    
+    if (value <= 0) {
+        // Deepest band last
+        const band = settings.depthBands.findIndex(depth => value > -depth);
+        return band === -1 ? colors.water[colors.water.length - 1] : colors.water[band];
+    }
+    
+    if (value <= settings.beachHeight) return colors.beach;
+    if (value >= settings.hillHeight) return roll < 0.3 ? colors.land[0] : config.accentColor;
+    
+    // Dark, base and light greens scattered over the lowland
+    if (roll < 0.1) return colors.land[0];
+    if (roll > 0.9) return colors.land[2];
+    return colors.land[1];
+}
+
+/**
+ * X of a coastline at a given y: the westmost place it crosses that row, so
+ * harbour moles and breakwaters that double back don't count as the shore
+ * @param {Array} coastline - [{x, y}] north to south
+ * @param {number} y - Y position
+ * @returns {number} - X position
+ */
+function interpolateCoastline(coastline, y) {
+    let x = null;
+    
+    for (let i = 1; i < coastline.length; i++) {
+        const a = coastline[i - 1];
+        const b = coastline[i];
+        if (y < Math.min(a.y, b.y) || y > Math.max(a.y, b.y)) continue;
+        
+        const crossing = a.x + (b.x - a.x) * (y - a.y) / (b.y - a.y || 1);
+        x = x === null ? crossing : Math.min(x, crossing);
+    }
+    
+    if (x !== null) return x;
+    
+    // Beyond either end of the line
+    return y < coastline[0].y ? coastline[0].x : coastline[coastline.length - 1].x;
+}
+
+/**
+ * A road between two points, bent through a displaced midpoint
+ * @param {Object} from - {x, y} start
+ * @param {Object} to - {x, y} end
+ * @param {Function} random - Seeded random
+ * @param {number} wander - Largest sideways displacement as a fraction of the length
+ * @returns {Array} - [{x, y}] polyline
+ */
+function wanderingRoad(from, to, random, wander) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const offset = (random() - 0.5) * 2 * wander;
+    
+    return [
+        from,
+        { x: from.x + dx / 2 - dy * offset, y: from.y + dy / 2 + dx * offset },
+        to
+    ];
+}
+
+/**
+ * Visit every pixel on a line (Bresenham)
+ * @param {Object} from - {x, y} start
+ * @param {Object} to - {x, y} end
+ * @param {Function} visit - Called with (x, y) for each pixel
+ */
+function traceLine(from, to, visit) {
+    let x = Math.round(from.x);
+    let y = Math.round(from.y);
+    const endX = Math.round(to.x);
+    const endY = Math.round(to.y);
+    const dx = Math.abs(endX - x);
+    const dy = -Math.abs(endY - y);
+    const stepX = x < endX ? 1 : -1;
+    const stepY = y < endY ? 1 : -1;
+    let error = dx + dy;
+    
+    for (;;) {
+        visit(x, y);
+        if (x === endX && y === endY) return;
+        
+        const doubled = 2 * error;
+        if (doubled >= dy) {
+            error += dy;
+            x += stepX;
+        }
+        if (doubled <= dx) {
+            error += dx;
+            y += stepY;
+        }
+    }
+}
+
+/**
+ * Scatter props over the places that accept them
+ * @param {number} count - Number of props wanted
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @param {Function} random - Seeded random
+ * @param {Function} accepts - Called with (x, y), true if a prop may go there
+ * @returns {Array} - [{x, y}] positions (fewer than count if there is little room)
+ */
+function placeProps(count, width, height, random, accepts) {
+    const props = [];
+    
+    for (let attempt = 0; attempt < count * 30 && props.length < count; attempt++) {
+        const x = Math.round(random() * (width - 1));
+        const y = Math.round(random() * (height - 1));
+        if (accepts(x, y)) {
+            props.push({ x, y });
+        }
+    }
+    
+    return props;
+}
+
+/**
+ * Trace the main coast: on each row, the edge of the land reached from the
+ * western map edge, closed round the west into a polygon
+ * @param {Uint8Array} land - Land grid (1 for land)
+ * @param {number} columns - Grid columns
+ * @param {number} rows - Grid rows
+ * @param {number} cellSize - Cell size in pixels
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @returns {Array} - [{x, y}] polygon
+ */
+function traceCoastline(land, columns, rows, cellSize, width, height) {
+    const polygon = [{ x: 0, y: 0 }];
+    
+    for (let row = 0; row < rows; row++) {
+        let column = 0;
+        while (column < columns && land[row * columns + column] === 1) {
+            column++;
+        }
+        polygon.push({ x: Math.min(width, column * cellSize), y: Math.min(height, (row + 0.5) * cellSize) });
+    }
+    
+    polygon.push({ x: 0, y: height });
+    return polygon;
+}
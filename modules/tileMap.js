@@ -0,0 +1,269 @@
+// tileMap.js - Streams slippy-map tiles around the camera
+
+/**
+ * Convert a tile corner to latitude and longitude (Web Mercator tiling)
+ * @param {number} x - Tile column (fractions allowed)
+ * @param {number} y - Tile row (fractions allowed)
+ * @param {number} z - Zoom level
+ * @returns {Object} - {lat, lon} of the tile's north-west corner
+ */
+export function tileToLatLon(x, y, z) {
+    const n = Math.pow(2, z);
+    const mercatorY = Math.PI * (1 - 2 * y / n);
+    
+    return {
+        lat: Math.atan(Math.sinh(mercatorY)) * 180 / Math.PI,
+        lon: x / n * 360 - 180
+    };
+}
+
+/**
+ * Convert latitude and longitude to tile coordinates
+ * @param {Object} latLon - {lat, lon} in decimal degrees
+ * @param {number} z - Zoom level
+ * @returns {Object} - {x, y} fractional tile column and row
+ */
+export function latLonToTile(latLon, z) {
+    const n = Math.pow(2, z);
+    const lat = Math.max(-85.0511, Math.min(85.0511, latLon.lat)) * Math.PI / 180;
+    
+    return {
+        x: (latLon.lon + 180) / 360 * n,
+        y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * n
+    };
+}
+
+/**
+ * Pick the zoom level whose tiles are drawn closest to their native size
+ * @param {number} pixelsPerDegree - Screen pixels per degree of longitude
+ * @param {Object} config - Tile config (tileSize, minZoom, maxZoom)
+ * @returns {number} - Zoom level
+ */
+export function chooseTileZoom(pixelsPerDegree, config) {
+    const zoom = Math.round(Math.log2(360 * pixelsPerDegree / config.tileSize));
+    return Math.max(config.minZoom, Math.min(config.maxZoom, zoom));
+}
+
+/**
+ * Creates the tiled world map. Tiles from a local slippy-tile directory are
+ * placed through the map's georeference, loaded as the camera comes near them
+ * and unloaded once they are off screen. They only cover the home map, where
+ * the land, routes and water are known, so the camera stays inside it; if no
+ * tiles can be loaded the map falls back to map.png.
+ * @param {Object} state - Global application state
+ * @returns {Object} - Tile map with update and destroy
+ */
+export function createTileMap(state) {
+    const { layers, layout } = state;
+    const config = state.config.map.tiles;
+    
+    // Above the terrain, so tiles cover map.png wherever they have loaded
+    const container = new PIXI.Container();
+    container.sortableChildren = true;
+    layers.terrain.addChild(container);
+    
+    // Tiles by "z/x/y": {z, x, y, sprite, loading, failed, lastUsed}
+    const tiles = new Map();
+    
+    // Keys of tiles that failed to load, so a missing tile is only requested once
+    const failedKeys = new Set();
+    let loadedCount = 0;
+    let failedCount = 0;
+    let frame = 0;
+    
+    const tileMap = {
+        container,
+        tiles,
+        enabled: config.enabled,
+        zoom: null,
+        
+        /**
+         * Load the tiles in view and unload the ones that have left it
+         */
+        update() {
+            if (!this.enabled || !state.camera) return;
+            frame++;
+            
+            // Zoom level for the current scale of the map on screen
+            const { bounds } = state.geo;
+            const pixelsPerDegree = layout.width * layout.scale / (bounds.east - bounds.west) * state.camera.zoom;
+            const zoom = chooseTileZoom(pixelsPerDegree, config);
+            if (zoom !== this.zoom) {
+                this.zoom = zoom;
+                tiles.forEach(tile => this.setDepth(tile));
+            }
+            
+            const wanted = this.getVisibleRange(zoom);
+            let missing = 0;
+            
+            for (let x = wanted.minX; x <= wanted.maxX; x++) {
+                for (let y = wanted.minY; y <= wanted.maxY; y++) {
+                    const key = `${zoom}/${x}/${y}`;
+                    if (failedKeys.has(key)) continue;
+                    
+                    let tile = tiles.get(key);
+                    if (!tile) {
+                        tile = this.loadTile(zoom, x, y);
+                    }
+                    tile.lastUsed = frame;
+                    if (tile.loading) missing++;
+                }
+            }
+            
+            // Other levels stay underneath until this one has filled in, then go;
+            // tiles of this level go as soon as they leave the view
+            tiles.forEach((tile, key) => {
+                if (tile.lastUsed === frame) return;
+                if (tile.z !== zoom && missing > 0 && tiles.size <= config.maxTiles) return;
+                this.unloadTile(key);
+            });
+        },
+        
+        /**
+         * Tile range covering the view plus a margin, clipped to the home map
+         * @param {number} zoom - Zoom level
+         * @returns {Object} - {minX, maxX, minY, maxY} inclusive
+         */
+        getVisibleRange(zoom) {
+            const topLeft = state.geo.toLatLon(state.camera.screenToWorld(layout.toScreen({ x: 0, y: 0 })));
+            const bottomRight = state.geo.toLatLon(state.camera.screenToWorld(layout.toScreen({
+                x: layout.width,
+                y: layout.height
+            })));
+            
+            const { bounds } = state.geo;
+            const clampLat = (lat) => Math.max(bounds.south, Math.min(bounds.north, lat));
+            const clampLon = (lon) => Math.max(bounds.west, Math.min(bounds.east, lon));
+            const start = latLonToTile({ lat: clampLat(topLeft.lat), lon: clampLon(topLeft.lon) }, zoom);
+            const end = latLonToTile({ lat: clampLat(bottomRight.lat), lon: clampLon(bottomRight.lon) }, zoom);
+            const last = Math.pow(2, zoom) - 1;
+            
+            return {
+                minX: Math.max(0, Math.floor(start.x) - config.margin),
+                maxX: Math.min(last, Math.floor(end.x) + config.margin),
+                minY: Math.max(0, Math.floor(start.y) - config.margin),
+                maxY: Math.min(last, Math.floor(end.y) + config.margin)
+            };
+        },
+        
+        /**
+         * Start loading a tile
+         * @param {number} z - Zoom level
+         * @param {number} x - Tile column
+         * @param {number} y - Tile row
+         * @returns {Object} - Tile entry (still loading)
+         */
+        loadTile(z, x, y) {
+            const key = `${z}/${x}/${y}`;
+            const tile = { z, x, y, sprite: null, loading: true, failed: false, lastUsed: frame };
+            tiles.set(key, tile);
+            
+            const url = config.url
+                .replace('{z}', z)
+                .replace('{x}', x)
+                .replace('{y}', y);
+            
+            loadTileTexture(url).then(texture => {
+                // Unloaded (or the map was switched off) while it was on its way
+                if (tiles.get(key) !== tile) {
+                    texture.destroy(true);
+                    return;
+                }
+                
+                loadedCount++;
+                tile.loading = false;
+                tile.sprite = new PIXI.Sprite(texture);
+                this.placeTile(tile);
+                this.setDepth(tile);
+                container.addChild(tile.sprite);
+            }).catch(() => {
+                tile.loading = false;
+                tile.failed = true;
+                failedKeys.add(key);
+                failedCount++;
+                
+                // Nothing has ever loaded: there is no tile directory, use map.png
+                if (loadedCount === 0 && failedCount >= config.failureLimit) {
+                    this.disable(`no tiles found at ${config.url}`);
+                }
+            });
+            
+            return tile;
+        },
+        
+        /**
+         * Stretch a tile over its corners on the map
+         * @param {Object} tile - Tile entry
+         */
+        placeTile(tile) {
+            if (!tile.sprite) return;
+            
+            const northWest = state.geo.toWorld(tileToLatLon(tile.x, tile.y, tile.z));
+            const southEast = state.geo.toWorld(tileToLatLon(tile.x + 1, tile.y + 1, tile.z));
+            tile.sprite.position.set(northWest.x, northWest.y);
+            tile.sprite.width = southEast.x - northWest.x;
+            tile.sprite.height = southEast.y - northWest.y;
+        },
+        
+        /**
+         * Draw the current level above the others
+         * @param {Object} tile - Tile entry
+         */
+        setDepth(tile) {
+            if (tile.sprite) {
+                tile.sprite.zIndex = tile.z === this.zoom ? config.maxZoom + 1 : tile.z;
+            }
+        },
+        
+        /**
+         * Unload a tile and free its texture
+         * @param {string} key - Tile key
+         */
+        unloadTile(key) {
+            const tile = tiles.get(key);
+            tiles.delete(key);
+            
+            if (tile && tile.sprite) {
+                container.removeChild(tile.sprite);
+                tile.sprite.destroy({ texture: true, baseTexture: true });
+            }
+        },
+        
+        /**
+         * Stop streaming and fall back to map.png
+         * @param {string} reason - Logged explanation
+         */
+        disable(reason) {
+            console.warn(`Tile map disabled (${reason}), using map.png`);
+            this.enabled = false;
+            Array.from(tiles.keys()).forEach(key => this.unloadTile(key));
+        },
+        
+        /**
+         * Remove the tile map
+         */
+        destroy() {
+            Array.from(tiles.keys()).forEach(key => this.unloadTile(key));
+            layers.terrain.removeChild(container);
+            container.destroy();
+        }
+    };
+    
+    return tileMap;
+}
+
+/**
+ * Load a tile image into a texture
+ * @param {string} url - Tile URL
+ * @returns {Promise<PIXI.Texture>} - Resolves with the texture, rejects if the tile is missing
+ */
+function loadTileTexture(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        
+        image.onload = () => resolve(PIXI.Texture.from(image));
+        image.onerror = () => reject(new Error(`Failed to load tile: ${url}`));
+        
+        image.src = url;
+    });
+}
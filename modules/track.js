@@ -0,0 +1,404 @@
+// track.js - Wake trails behind the boats and their recorded track history
+
+import { downloadFile } from './download.js';
+
+// Frames per second of simulated time, for track timestamps
+const FRAMES_PER_SECOND = 60;
+
+/**
+ * Creates the wake trail: a ribbon through the boat's recent stern positions
+ * that widens and fades with age and drifts downwind
+ * @param {PIXI.Container} parent - Layer to draw into (under the boats)
+ * @param {Object} config - Wake configuration
+ * @returns {Object} - Wake trail
+ */
+export function createWakeTrail(parent, config) {
+    const graphics = new PIXI.Graphics();
+    parent.addChild(graphics);
+    
+    // Oldest first: {x, y, age, strength}
+    const points = [];
+    
+    return {
+        graphics,
+        points,
+        
+        /**
+         * Age, drift and extend the trail, then redraw it
+         * @param {Object} stern - {x, y} current stern position
+         * @param {number} strength - Boat speed relative to its cruising speed (0 to 1)
+         * @param {number} delta - Time elapsed
+         * @param {Object} weather - Weather state (wind)
+         */
+        update(stern, strength, delta, weather) {
+            const windX = weather ? Math.cos(weather.windDirection) * weather.windIntensity * config.windDrift : 0;
+            const windY = weather ? Math.sin(weather.windDirection) * weather.windIntensity * config.windDrift : 0;
+            
+            points.forEach(point => {
+                point.age += delta;
+                point.x += windX * delta;
+                point.y += windY * delta;
+            });
+            
+            // Drop points that have faded out
+            while (points.length > 0 && points[0].age >= config.lifetime) {
+                points.shift();
+            }
+            
+            // Lay a new point every few pixels while making way
+            const last = points[points.length - 1];
+            const moved = !last || Math.sqrt(Math.pow(stern.x - last.x, 2) + Math.pow(stern.y - last.y, 2)) >= config.spacing;
+            if (moved && strength > config.minStrength) {
+                points.push({ x: stern.x, y: stern.y, age: 0, strength: Math.min(1, strength) });
+            }
+            
+            this.draw(stern, strength);
+        },
+        
+        /**
+         * Draw the ribbon as quads between neighbouring points
+         * @param {Object} stern - {x, y} current stern position (the ribbon's head)
+         * @param {number} strength - Current boat speed relative to cruising speed
+         */
+        draw(stern, strength) {
+            graphics.clear();
+            
+            const ribbon = points.concat([{ x: stern.x, y: stern.y, age: 0, strength: Math.min(1, strength) }]);
+            if (ribbon.length < 2) return;
+            
+            // Half-width and normal at each point, from its neighbours
+            const edges = ribbon.map((point, i) => {
+                const previous = ribbon[Math.max(0, i - 1)];
+                const next = ribbon[Math.min(ribbon.length - 1, i + 1)];
+                const dx = next.x - previous.x;
+                const dy = next.y - previous.y;
+                const length = Math.sqrt(dx * dx + dy * dy) || 1;
+                const halfWidth = (config.startWidth + point.age * config.spread) * (0.5 + point.strength * 0.5) / 2;
+                
+                return {
+                    x: -dy / length * halfWidth,
+                    y: dx / length * halfWidth
+                };
+            });
+            
+            for (let i = 1; i < ribbon.length; i++) {
+                const a = ribbon[i - 1];
+                const b = ribbon[i];
+                const alpha = config.maxAlpha * (1 - a.age / config.lifetime) * a.strength;
+                if (alpha <= 0.01) continue;
+                
+                graphics.beginFill(0xFFFFFF, alpha);
+                graphics.drawPolygon([
+                    a.x + edges[i - 1].x, a.y + edges[i - 1].y,
+                    b.x + edges[i].x, b.y + edges[i].y,
+                    b.x - edges[i].x, b.y - edges[i].y,
+                    a.x - edges[i - 1].x, a.y - edges[i - 1].y
+                ]);
+                graphics.endFill();
+            }
+        },
+        
+        /**
+         * Remove the whole trail
+         */
+        clear() {
+            points.length = 0;
+            graphics.clear();
+        },
+        
+        /**
+         * Remove the trail from the scene
+         */
+        destroy() {
+            if (graphics.parent) {
+                graphics.parent.removeChild(graphics);
+            }
+            graphics.destroy();
+        }
+    };
+}
+
+/**
+ * Creates the recorded track history. Fixes are stored as latitude/longitude
+ * so the track survives resizes and exports straight to GeoJSON and GPX
+ * @param {PIXI.Container} parent - Layer to draw into
+ * @param {Object} config - Track configuration
+ * @param {Object} projection - Geo projection (toLatLon, toWorld)
+ * @param {number} color - Dot colour
+ * @returns {Object} - Track history
+ */
+export function createTrackHistory(parent, config, projection, color) {
+    const graphics = new PIXI.Graphics();
+    graphics.visible = false;
+    parent.addChild(graphics);
+    
+    // Wall-clock time at simulation time 0, for export timestamps
+    const epoch = Date.now();
+    
+    // Oldest first: {lat, lon, time} with time in simulation frames
+    const points = [];
+    let lastRecorded = null;
+    let dirty = true;
+    
+    /**
+     * Convert simulation time to an ISO timestamp
+     * @param {number} time - Simulation time in frames
+     * @returns {string} - ISO 8601 time
+     */
+    const toTimestamp = (time) => new Date(epoch + time / FRAMES_PER_SECOND * 1000).toISOString();
+    
+    return {
+        points,
+        
+        /**
+         * Record the boat's position, once at least interval frames have passed
+         * and it has moved minDistance since the last fix
+         * @param {Object} position - {x, y} map position
+         * @param {number} time - Simulation time in frames
+         */
+        record(position, time) {
+            if (lastRecorded) {
+                const distance = Math.sqrt(
+                    Math.pow(position.x - lastRecorded.x, 2) +
+                    Math.pow(position.y - lastRecorded.y, 2)
+                );
+                if (time - lastRecorded.time < config.interval || distance < config.minDistance) return;
+            }
+            
+            const latLon = projection.toLatLon(position);
+            points.push({ lat: latLon.lat, lon: latLon.lon, time });
+            lastRecorded = { x: position.x, y: position.y, time };
+            
+            // Keep the history bounded on long sessions
+            if (points.length > config.maxPoints) {
+                points.shift();
+            }
+            dirty = true;
+        },
+        
+        /**
+         * Show or hide the track on the map
+         * @param {boolean} visible - Whether to show it
+         */
+        setVisible(visible) {
+            graphics.visible = visible;
+            dirty = true;
+        },
+        
+        /**
+         * Draw the track as a dotted line (only when shown and changed)
+         */
+        draw() {
+            if (!graphics.visible || !dirty) return;
+            dirty = false;
+            
+            graphics.clear();
+            graphics.beginFill(color, 0.8);
+            
+            // Evenly spaced dots along the recorded line
+            const positions = points.map(point => projection.toWorld(point));
+            let carry = 0;
+            for (let i = 1; i < positions.length; i++) {
+                const a = positions[i - 1];
+                const b = positions[i];
+                const length = Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+                
+                // Carry the spacing over so dots stay even across fixes
+                let d = carry;
+                for (; d < length; d += config.dotSpacing) {
+                    const t = d / length;
+                    graphics.drawCircle(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, config.dotRadius);
+                }
+                carry = d - length;
+            }
+            
+            graphics.endFill();
+        },
+        
+        /**
+         * Forget the recorded track
+         */
+        clear() {
+            points.length = 0;
+            lastRecorded = null;
+            dirty = true;
+            graphics.clear();
+        },
+        
+        /**
+         * Export the track as a GeoJSON Feature with a LineString
+         * @param {string} name - Vessel name
+         * @returns {Object} - GeoJSON Feature
+         */
+        toGeoJSON(name) {
+            return {
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: points.map(point => [round(point.lon, 6), round(point.lat, 6)])
+                },
+                properties: {
+                    name,
+                    times: points.map(point => toTimestamp(point.time))
+                }
+            };
+        },
+        
+        /**
+         * Export the track as a GPX 1.1 document
+         * @param {string} name - Vessel name
+         * @returns {string} - GPX XML
+         */
+        toGPX(name) {
+            const trackPoints = points.map(point =>
+                `      <trkpt lat="${round(point.lat, 6)}" lon="${round(point.lon, 6)}"><time>${toTimestamp(point.time)}</time></trkpt>`
+            ).join('\n');
+            
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<gpx version="1.1" creator="Interactive Lighthouse System" xmlns="http://www.topografix.com/GPX/1/1">',
+                '  <trk>',
+                `    <name>${escapeXml(name)}</name>`,
+                '    <trkseg>',
+                trackPoints,
+                '    </trkseg>',
+                '  </trk>',
+                '</gpx>'
+            ].join('\n');
+        },
+        
+        /**
+         * Remove the track from the scene
+         */
+        destroy() {
+            if (graphics.parent) {
+                graphics.parent.removeChild(graphics);
+            }
+            graphics.destroy();
+        }
+    };
+}
+
+/**
+ * Creates the track controls: show/hide every track, and clear or export the selected vessel's
+ * @param {Object} state - Global application state
+ * @returns {Object} - Track controls
+ */
+export function createTrackControls(state) {
+    const { app, layers } = state;
+    
+    const trackControls = {
+        visible: false,
+        
+        /**
+         * Show or hide every vessel's track
+         */
+        toggle() {
+            this.visible = !this.visible;
+            state.entities.fleet.boats.forEach(boat => boat.track.setVisible(this.visible));
+            redraw();
+        },
+        
+        /**
+         * Clear the selected vessel's track
+         */
+        clearSelected() {
+            const boat = state.entities.fleet.selected;
+            if (boat) boat.track.clear();
+        },
+        
+        /**
+         * Download the selected vessel's track
+         * @param {string} format - 'geojson' or 'gpx'
+         */
+        exportSelected(format) {
+            const boat = state.entities.fleet.selected;
+            if (!boat) return;
+            
+            const filename = boat.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            if (format === 'gpx') {
+                downloadFile(`${filename}.gpx`, boat.track.toGPX(boat.name), 'application/gpx+xml');
+            } else {
+                const geoJSON = JSON.stringify(boat.track.toGeoJSON(boat.name), null, 2);
+                downloadFile(`${filename}.geojson`, geoJSON, 'application/geo+json');
+            }
+        }
+    };
+    
+    const controls = new PIXI.Container();
+    controls.name = 'trackControls';
+    
+    // Panel background
+    const panel = new PIXI.Graphics();
+    panel.beginFill(0x000000, 0.5);
+    panel.drawRoundedRect(0, 0, 210, 30, 5);
+    panel.endFill();
+    controls.addChild(panel);
+    
+    /**
+     * Create a clickable text button
+     * @param {string} label - Initial label
+     * @param {number} x - X position in the panel
+     * @param {Function} onClick - Click handler
+     * @returns {PIXI.Text} - Button
+     */
+    const createButton = (label, x, onClick) => {
+        const button = new PIXI.Text(label, {
+            fontFamily: 'Arial',
+            fontSize: 12,
+            fill: 0xFFFFFF
+        });
+        button.position.set(x, 8);
+        button.interactive = true;
+        button.cursor = 'pointer';
+        button.on('pointerdown', onClick);
+        controls.addChild(button);
+        return button;
+    };
+    
+    const toggleButton = createButton('', 8, () => trackControls.toggle());
+    createButton('Clear', 78, () => trackControls.clearSelected());
+    createButton('GeoJSON', 116, () => trackControls.exportSelected('geojson'));
+    createButton('GPX', 175, () => trackControls.exportSelected('gpx'));
+    
+    const redraw = () => {
+        toggleButton.text = `Track: ${trackControls.visible ? 'On' : 'Off'}`;
+    };
+    
+    layers.ui.addChild(controls);
+    
+    // Bottom-left, above the sound controls
+    const position = (width, height) => controls.position.set(10, height - 75);
+    position(app.screen.width, app.screen.height);
+    
+    window.addEventListener('game-resize', (e) => {
+        position(e.detail.width, e.detail.height);
+    });
+    
+    redraw();
+    
+    return trackControls;
+}
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value - Value to round
+ * @param {number} places - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Escape text for an XML element
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,187 @@
+// trilateration.js - Time-of-arrival position fixing from lighthouse timing signals
+
+// Scale factor turning a 1-sigma ellipse into a 95% confidence ellipse (chi-square, 2 DOF)
+const CONFIDENCE_95 = Math.sqrt(5.991);
+
+/**
+ * Estimate a receiver position from ranges to known stations (TOA trilateration)
+ * using Gauss-Newton least squares.
+ * @param {Array} measurements - [{x, y, range}] station positions and measured ranges
+ * @param {Object} initialGuess - {x, y} starting estimate (e.g. the previous fix)
+ * @param {number} rangeSigma - Standard deviation of a single range measurement
+ * @returns {Object|null} - {x, y, covariance, residual} or null if no fix is possible
+ */
+export function solvePosition(measurements, initialGuess, rangeSigma) {
+    if (measurements.length < 3) {
+        return null;
+    }
+    
+    let x = initialGuess.x;
+    let y = initialGuess.y;
+    let normal = null;
+    
+    for (let iteration = 0; iteration < 20; iteration++) {
+        // Accumulate the normal equations J^T J and J^T r
+        let jxx = 0, jxy = 0, jyy = 0;
+        let gx = 0, gy = 0;
+        
+        measurements.forEach(m => {
+            const dx = x - m.x;
+            const dy = y - m.y;
+            const distance = Math.max(1e-6, Math.sqrt(dx * dx + dy * dy));
+            const residual = distance - m.range;
+            const ux = dx / distance;
+            const uy = dy / distance;
+            
+            jxx += ux * ux;
+            jxy += ux * uy;
+            jyy += uy * uy;
+            gx += ux * residual;
+            gy += uy * residual;
+        });
+        
+        const det = jxx * jyy - jxy * jxy;
+        if (Math.abs(det) < 1e-9) {
+            // Stations are collinear with the estimate - geometry can't resolve a fix
+            return null;
+        }
+        
+        normal = { xx: jyy / det, xy: -jxy / det, yy: jxx / det };
+        
+        const stepX = -(normal.xx * gx + normal.xy * gy);
+        const stepY = -(normal.xy * gx + normal.yy * gy);
+        x += stepX;
+        y += stepY;
+        
+        if (stepX * stepX + stepY * stepY < 1e-6) {
+            break;
+        }
+    }
+    
+    // Root-mean-square of the final range residuals
+    const residual = Math.sqrt(measurements.reduce((sum, m) => {
+        const distance = Math.sqrt(Math.pow(x - m.x, 2) + Math.pow(y - m.y, 2));
+        return sum + Math.pow(distance - m.range, 2);
+    }, 0) / measurements.length);
+    
+    const variance = rangeSigma * rangeSigma;
+    
+    return {
+        x,
+        y,
+        covariance: {
+            xx: normal.xx * variance,
+            xy: normal.xy * variance,
+            yy: normal.yy * variance
+        },
+        residual
+    };
+}
+
+/**
+ * Compute the 95% error ellipse of a position covariance
+ * @param {Object} covariance - {xx, xy, yy} covariance matrix
+ * @returns {Object} - {major, minor, rotation} semi-axes in pixels and rotation in radians
+ */
+export function getErrorEllipse(covariance) {
+    const { xx, xy, yy } = covariance;
+    
+    // Eigenvalues of the symmetric 2x2 matrix
+    const mean = (xx + yy) / 2;
+    const spread = Math.sqrt(Math.pow((xx - yy) / 2, 2) + xy * xy);
+    const major = mean + spread;
+    const minor = Math.max(0, mean - spread);
+    
+    return {
+        major: Math.sqrt(major) * CONFIDENCE_95,
+        minor: Math.sqrt(minor) * CONFIDENCE_95,
+        rotation: 0.5 * Math.atan2(2 * xy, xx - yy)
+    };
+}
+
+/**
+ * Sample a normally distributed value (Box-Muller)
+ * @param {number} sigma - Standard deviation
+ * @returns {number} - Random value with mean 0
+ */
+export function gaussianNoise(sigma) {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * sigma;
+}
+
+/**
+ * Creates the map overlay showing a receiver's position fix
+ * @param {PIXI.Container} parent - Layer to draw into
+ * @param {number} color - Fix marker color
+ * @returns {Object} - Overlay with draw method
+ */
+export function createFixOverlay(parent, color = 0xFFFF00) {
+    const container = new PIXI.Container();
+    
+    // Range circles from each station, estimated fix with ellipse, true position
+    const ranges = new PIXI.Graphics();
+    const ellipse = new PIXI.Graphics();
+    const marker = new PIXI.Graphics();
+    
+    container.addChild(ranges, ellipse, marker);
+    parent.addChild(container);
+    
+    return {
+        container,
+        
+        /**
+         * Draw the current fix against the true position
+         * @param {Object|null} fix - Fix from the receiver (null hides the estimate)
+         * @param {Object} truePosition - {x, y} actual receiver position
+         */
+        draw(fix, truePosition) {
+            ranges.clear();
+            ellipse.clear();
+            marker.clear();
+            
+            // True position - small white dot
+            marker.beginFill(0xFFFFFF, 0.9);
+            marker.drawCircle(truePosition.x, truePosition.y, 2);
+            marker.endFill();
+            
+            if (!fix) return;
+            
+            // Measured ranges - faint circles around each lighthouse
+            fix.measurements.forEach(m => {
+                ranges.lineStyle(1, m.color, 0.2);
+                ranges.drawCircle(m.x, m.y, m.range);
+            });
+            
+            // 95% error ellipse around the estimate
+            ellipse.position.set(fix.x, fix.y);
+            ellipse.rotation = fix.ellipse.rotation;
+            ellipse.lineStyle(1, color, 0.8);
+            ellipse.beginFill(color, 0.1);
+            ellipse.drawEllipse(0, 0, Math.max(2, fix.ellipse.major), Math.max(2, fix.ellipse.minor));
+            ellipse.endFill();
+            
+            // Estimated fix - cross
+            marker.lineStyle(1, color, 1);
+            marker.moveTo(fix.x - 4, fix.y);
+            marker.lineTo(fix.x + 4, fix.y);
+            marker.moveTo(fix.x, fix.y - 4);
+            marker.lineTo(fix.x, fix.y + 4);
+            
+            // Error vector from the estimate to the truth
+            marker.lineStyle(1, 0xFFFFFF, 0.4);
+            marker.moveTo(fix.x, fix.y);
+            marker.lineTo(truePosition.x, truePosition.y);
+        },
+        
+        /**
+         * Clean up overlay resources
+         */
+        destroy() {
+            if (container.parent) {
+                container.parent.removeChild(container);
+            }
+            container.destroy({ children: true });
+        }
+    };
+}
@@ -0,0 +1,198 @@
+// waterShader.js - Water shader: ripples, foam and reflections, and the textures it reads
+
+import { createRandom } from './terrainGenerator.js';
+import { distanceToLand } from './bathymetry.js';
+
+// Mesh vertex shader: map positions in, map UVs out
+export const WATER_VERTEX = `
+attribute vec2 aVertexPosition;
+attribute vec2 aUvs;
+
+uniform mat3 translationMatrix;
+uniform mat3 projectionMatrix;
+
+varying vec2 vUvs;
+
+void main() {
+    vUvs = aUvs;
+    gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}
+`;
+
+// Water over the map: an overlay of light on the ripples, sky and sun/moon
+// reflections and surf, transparent over land. Output is premultiplied.
+export const WATER_FRAGMENT = `
+precision mediump float;
+
+varying vec2 vUvs;
+
+uniform sampler2D uShore;       // r: water, g: closeness to the coast
+uniform sampler2D uRipples;     // Tiling normal map, crests across x
+uniform vec2 uSize;             // Map size in pixels
+uniform float uPixelSize;       // Shading block size
+uniform float uLevels;          // Light levels on the ripples
+uniform float uRippleScale;     // Pixels per repeat of the ripple pattern
+uniform float uRippleStrength;
+uniform vec2 uWind;             // Wind direction (unit vector)
+uniform vec2 uOffset;           // Distance the two ripple layers have travelled downwind
+uniform vec2 uLight;            // Direction the light comes from
+uniform float uTime;
+uniform float uFoamSpeed;
+uniform vec3 uFoamColor;
+uniform float uFoamStrength;
+uniform vec3 uSkyColor;
+uniform float uSkyStrength;
+uniform vec3 uSun;              // x, y in map pixels and strength
+uniform vec3 uSunColor;
+uniform vec3 uMoon;
+uniform vec3 uMoonColor;
+uniform vec2 uReflectionSize;   // Column half-width and length in pixels
+uniform float uGlint;           // Share of the ripples that catch the reflection
+
+// Premultiplied colour over another
+vec4 over(vec4 top, vec4 base) {
+    return top + base * (1.0 - top.a);
+}
+
+// Ripple normal at a point, in map directions
+vec2 rippleNormal(vec2 point, vec2 downwind, float scale, float offset) {
+    vec2 across = vec2(-downwind.y, downwind.x);
+    vec2 uv = vec2(dot(point, downwind) - offset, dot(point, across)) / scale;
+    vec2 n = texture2D(uRipples, uv).xy * 2.0 - 1.0;
+    return downwind * n.x + across * n.y;
+}
+
+// Column of light on the water below a sun or moon, broken into glints
+float reflection(vec3 body, vec2 pixel, float crest) {
+    float below = pixel.y - body.y;
+    if (body.z <= 0.0 || below < 0.0) return 0.0;
+    
+    float across = (pixel.x - body.x) / uReflectionSize.x;
+    float column = exp(-across * across) * exp(-below / uReflectionSize.y);
+    return body.z * column * step(1.0 - uGlint, crest);
+}
+
+void main() {
+    // Shade in blocks, like the pixel-art map
+    vec2 pixel = (floor(vUvs * uSize / uPixelSize) + 0.5) * uPixelSize;
+    vec4 shore = texture2D(uShore, pixel / uSize);
+    if (shore.r < 0.5) {
+        gl_FragColor = vec4(0.0);
+        return;
+    }
+    
+    // Long ripples running downwind, crossed by shorter ones a little off the wind
+    vec2 centred = pixel - uSize * 0.5;
+    vec2 offWind = vec2(uWind.x * 0.906 - uWind.y * 0.423, uWind.x * 0.423 + uWind.y * 0.906);
+    vec2 normal = rippleNormal(centred, uWind, uRippleScale, uOffset.x)
+        + rippleNormal(centred, offWind, uRippleScale * 0.63, uOffset.y);
+    
+    // Light on the slopes facing it, quantised to a few levels (0 to 1)
+    float facing = clamp(dot(normal, uLight) * 0.75 + 0.5, 0.0, 0.999);
+    float level = floor(facing * uLevels) / (uLevels - 1.0);
+    float shade = (level - 0.5) * 2.0 * uRippleStrength;
+    
+    vec4 color = vec4(uSkyColor * uSkyStrength, uSkyStrength);
+    color = over(vec4(vec3(shade > 0.0 ? 1.0 : 0.0) * abs(shade), abs(shade)), color);
+    
+    float sun = reflection(uSun, pixel, level);
+    float moon = reflection(uMoon, pixel, level);
+    color = over(vec4(uSunColor * sun, sun), color);
+    color = over(vec4(uMoonColor * moon, moon), color);
+    
+    // Surf washing up and back along the coast, ragged with the ripples
+    float surge = 0.5 + 0.5 * sin(uTime * uFoamSpeed + normal.x * 2.0);
+    float reach = mix(0.35, 0.85, surge) + normal.y * 0.15;
+    float foam = step(reach, shore.g) * uFoamStrength;
+    color = over(vec4(uFoamColor * foam, foam), color);
+    
+    gl_FragColor = color;
+}
+`;
+
+/**
+ * Bake the tiling ripple normal map: a sum of sine waves whose wave numbers
+ * are whole numbers of cycles per tile, so it repeats without seams. Most of
+ * the waves run along x, so crests lie across it (the shader turns x downwind).
+ * @param {number|string} seed - Seed for the waves
+ * @param {number} size - Texture size (a power of two, for repeat wrapping)
+ * @returns {PIXI.Texture} - Normal map (xy in rg, z in b)
+ */
+export function createRippleTexture(seed, size = 64) {
+    const random = createRandom(seed);
+    const waves = [];
+    for (let i = 0; i < 6; i++) {
+        waves.push({
+            kx: 1 + Math.floor(random() * 4),
+            ky: Math.floor(random() * 5) - 2,
+            amplitude: 1 / (i + 1),
+            phase: random() * Math.PI * 2
+        });
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(size, size);
+    
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            // Slope of the summed waves
+            let dx = 0;
+            let dy = 0;
+            waves.forEach(wave => {
+                const angle = Math.PI * 2 * (wave.kx * x + wave.ky * y) / size + wave.phase;
+                dx += wave.amplitude * wave.kx * Math.cos(angle);
+                dy += wave.amplitude * wave.ky * Math.cos(angle);
+            });
+            
+            const length = Math.hypot(dx * 0.3, dy * 0.3, 1);
+            const i = (y * size + x) * 4;
+            image.data[i] = Math.round((-dx * 0.3 / length * 0.5 + 0.5) * 255);
+            image.data[i + 1] = Math.round((-dy * 0.3 / length * 0.5 + 0.5) * 255);
+            image.data[i + 2] = Math.round((1 / length * 0.5 + 0.5) * 255);
+            image.data[i + 3] = 255;
+        }
+    }
+    context.putImageData(image, 0, 0);
+    
+    return PIXI.Texture.from(canvas, {
+        wrapMode: PIXI.WRAP_MODES.REPEAT,
+        scaleMode: PIXI.SCALE_MODES.LINEAR,
+        mipmap: PIXI.MIPMAP_MODES.OFF
+    });
+}
+
+/**
+ * Bake the shore texture: where the water is, and how close it is to the coast
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @param {Function} isLand - Called with map (x, y)
+ * @param {number} cellSize - Pixels per texel
+ * @param {number} foamWidth - Pixels from the coast the surf reaches
+ * @returns {PIXI.Texture} - Texture with water in red and closeness to the coast in green
+ */
+export function createShoreTexture(width, height, isLand, cellSize, foamWidth) {
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const distances = distanceToLand(columns, rows, (column, row) => isLand(
+        (column + 0.5) * cellSize,
+        (row + 0.5) * cellSize
+    ));
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = columns;
+    canvas.height = rows;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(columns, rows);
+    
+    distances.forEach((distance, i) => {
+        image.data[i * 4] = distance > 0 ? 255 : 0;
+        image.data[i * 4 + 1] = Math.round(Math.max(0, 1 - distance * cellSize / foamWidth) * 255);
+        image.data[i * 4 + 3] = 255;
+    });
+    context.putImageData(image, 0, 0);
+    
+    return PIXI.Texture.from(canvas, { scaleMode: PIXI.SCALE_MODES.LINEAR });
+}